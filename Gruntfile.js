@@ -130,6 +130,7 @@ module.exports = function (grunt) {
                 'Gruntfile.js',
                 '<%= config.app %>/scripts/{,*/}*.js',
                 '!<%= config.app %>/scripts/vendor/*',
+                'bin/{,*/}*.js',
                 'test/spec/{,*/}*.js'
             ]
         },
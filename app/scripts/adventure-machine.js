@@ -1,8 +1,9 @@
-/*jslint browser: true*/
-/*global jQuery*/
+/*jslint browser: true, node: true*/
+/*global jQuery, module*/
 /*exported AdventureMachine*/
 
-if (!jQuery) {
+// jQuery is only needed by the browser Console, so it is optional when loaded as a Node module
+if (typeof jQuery === 'undefined' && typeof module === 'undefined') {
     throw 'Missing dependency: compatible version of jQuery required';
 }
 
@@ -21,11 +22,262 @@ var AdventureMachine = (function ($) {
             return this.slice(0, str.length) === str;
         };
     }
+    
+    /*
+     * Case insensitive check that the text starts with the provided words, followed by a space or the end of the text,
+     * so that "goat" doesn't start with "go"
+     */
+    function startsWithWords(text, words) {
+        return text.slice(0, words.length).toUpperCase() === words.toUpperCase() && (text.length === words.length || text.charAt(words.length) === ' ');
+    }
+    
+    /*
+     * Case insensitive check that the text contains the provided words as whole words, so that "keyboard" doesn't
+     * contain "key"
+     */
+    function containsWords(text, words) {
+        var pattern = words.trim().replace(/[.*+?\^${}()|\[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        
+        return pattern.length > 0 && new RegExp('(^|[^a-z0-9])' + pattern + '($|[^a-z0-9])', 'i').test(text);
+    }
+    
+    /*
+     * Number of single character insertions, deletions and substitutions needed to turn one string into another, used
+     * to make suggestions when the player's input doesn't quite match
+     */
+    function editDistance(a, b) {
+        var previous = [],
+            current,
+            i,
+            j;
+        
+        for (j = 0; j <= b.length; j += 1) {
+            previous.push(j);
+        }
+        for (i = 1; i <= a.length; i += 1) {
+            current = [i];
+            for (j = 1; j <= b.length; j += 1) {
+                current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1)));
+            }
+            previous = current;
+        }
+        
+        return previous[b.length];
+    }
+    
+    /*
+     * How many typos to tolerate in a word the player types: none for short words, where a single letter is often the
+     * difference between two real words
+     */
+    function typoTolerance(word) {
+        if (word.length < 4) {
+            return 0;
+        }
+        return word.length < 8 ? 1 : 2;
+    }
+    
+    // Add up a property of the items in an inventory, e.g. their bulk. Weights include the contents of containers.
+    function getTotal(inventory, property) {
+        var ids = inventory.getItemIds(),
+            total = 0,
+            i;
+        
+        for (i = 0; i < ids.length; i += 1) {
+            total += property === 'weight' ? inventory.getItem(ids[i]).getTotalWeight() : inventory.getItem(ids[i])[property];
+        }
+        
+        return total;
+    }
+    
+    // Is the value a number, or a string that holds one? E.g. 2 and "2.5", but not "" or "two"
+    function isNumeric(value) {
+        return (typeof value === 'number' || (typeof value === 'string' && value.trim().length > 0)) && !isNaN(Number(value));
+    }
+    
+    // Conditions that have already been compiled, keyed by expression
+    var compiledConditions = {};
+    
+    /*
+     * Compile a condition expression into a function that is called with the game and returns true or false. Terms
+     * can be combined with &&, ||, ! and parentheses, e.g. "hasItem:lift-keycard && !flag:generatorFixed".
+     * Supported terms:
+     * - hasItem:<item id> - the player is carrying the item
+     * - here:<item or NPC id> - the item or NPC is in the current location
+     * - at:<location id> - the player is in the location
+     * - visited:<location id> - the player has been to the location
+     * - flag:<name> - the game variable is set to a truthy value
+     * - lit - the player can see in the current location, i.e. it isn't dark or they have a light, see Game.isLit
+     * - var:<name><operator><value> - compare a game variable, operators are = != < <= > >=, e.g. "var:fuses>=2".
+     *   Numbers are compared as numbers, with an unset variable counting as 0, anything else is compared as text
+     * - true, false
+     * Throws an error if the expression is invalid.
+     */
+    function compileCondition(expression) {
+        var tokens = expression.match(/\(|\)|&&|\|\||!(?!=)|[^\s()&|!][^\s()&|]*/g) || [],
+            position = 0,
+            parseOr,
+            parseAnd,
+            parseUnary,
+            parseTerm,
+            combine,
+            compiled;
+        
+        if (compiledConditions.hasOwnProperty(expression)) {
+            return compiledConditions[expression];
+        }
+        
+        parseTerm = function (term) {
+            var separator = term.indexOf(':'),
+                type = separator > 0 ? term.slice(0, separator) : term,
+                value = term.slice(separator + 1),
+                comparison;
+            
+            if (term === 'true' || term === 'false') {
+                return function () {
+                    return term === 'true';
+                };
+            }
+            if (term === 'lit') {
+                return function (game) {
+                    return game.isLit();
+                };
+            }
+            if (type === 'hasItem') {
+                return function (game) {
+                    return !!game.inventory.getItem(value);
+                };
+            }
+            if (type === 'here') {
+                return function (game) {
+                    return !!(game.currentLocation.items.getItem(value) || game.currentLocation.npcs.getItem(value));
+                };
+            }
+            if (type === 'at') {
+                return function (game) {
+                    return game.currentLocation.id === value;
+                };
+            }
+            if (type === 'visited') {
+                return function (game) {
+                    return !!game.locations[value] && game.locations[value].visits > 0;
+                };
+            }
+            if (type === 'flag') {
+                return function (game) {
+                    return !!game.variables.get(value);
+                };
+            }
+            comparison = /^([^=!<>]+)(=|!=|<=|>=|<|>)(.*)$/.exec(value);
+            if (type === 'var' && comparison) {
+                return function (game) {
+                    var actual = game.variables.get(comparison[1]),
+                        expected = comparison[3];
+                    
+                    // Like increment, an unset variable counts as 0, so "var:fuses>=2" is false until fuses are found
+                    if (isNumeric(expected) && (actual === undefined || isNumeric(actual))) {
+                        actual = Number(actual || 0);
+                        expected = Number(expected);
+                    } else {
+                        actual = (actual === undefined) ? '' : String(actual);
+                    }
+                    
+                    switch (comparison[2]) {
+                    case '=':
+                        return actual === expected;
+                    case '!=':
+                        return actual !== expected;
+                    case '<':
+                        return actual < expected;
+                    case '<=':
+                        return actual <= expected;
+                    case '>':
+                        return actual > expected;
+                    default:
+                        return actual >= expected;
+                    }
+                };
+            }
+            
+            throw 'Error: Unknown term "' + term + '" in condition "' + expression + '"';
+        };
+        parseUnary = function () {
+            var token = tokens[position],
+                operand;
+            
+            position += 1;
+            if (token === '!') {
+                operand = parseUnary();
+                return function (game) {
+                    return !operand(game);
+                };
+            }
+            if (token === '(') {
+                operand = parseOr();
+                if (tokens[position] !== ')') {
+                    throw 'Error: Missing ")" in condition "' + expression + '"';
+                }
+                position += 1;
+                return operand;
+            }
+            if (token === undefined || token === ')' || token === '&&' || token === '||') {
+                throw 'Error: Unexpected ' + (token ? '"' + token + '"' : 'end') + ' in condition "' + expression + '"';
+            }
+            
+            return parseTerm(token);
+        };
+        combine = function (left, right, operator) {
+            return function (game) {
+                return operator === '&&' ? (left(game) && right(game)) : (left(game) || right(game));
+            };
+        };
+        parseAnd = function () {
+            var left = parseUnary();
+            
+            while (tokens[position] === '&&') {
+                position += 1;
+                left = combine(left, parseUnary(), '&&');
+            }
+            
+            return left;
+        };
+        parseOr = function () {
+            var left = parseAnd();
+            
+            while (tokens[position] === '||') {
+                position += 1;
+                left = combine(left, parseAnd(), '||');
+            }
+            
+            return left;
+        };
+        
+        compiled = parseOr();
+        if (position < tokens.length) {
+            throw 'Error: Unexpected "' + tokens[position] + '" in condition "' + expression + '"';
+        }
+        compiledConditions[expression] = compiled;
+        
+        return compiled;
+    }
 
-    // The console is the main area of interaction with the end user
-    var Console,
+    // Defines the contract between a Game and the user interface it is played through
+    var BaseConsole,
+        // The console is the main area of interaction with the end user, this one works with a jQuery page
+        Console,
+        // Buttons for building commands without typing, shown under a Console
+        CommandPanel,
         // Defines the story that informs the current Game instance
         Story,
+        // Turns free-form player input into the commands understood by the game
+        InputNormaliser,
+        // Flags, counters and other values that record the player's progress through a story
+        VariableStore,
+        // Lets stories, UIs and tests observe what happens in a game
+        EventBus,
+        // Points and achievements awarded as the player makes progress
+        Scoreboard,
+        // Runs scheduled callbacks as turns pass, or on a wall clock
+        Scheduler,
         // The current game being played
         Game,
         // Base class used for implementing CLI commands
@@ -39,6 +291,8 @@ var AdventureMachine = (function ($) {
         BaseEntity,
         // Characters that the player may interact with
         NPC,
+        // A branching conversation with an NPC
+        Dialogue,
         // In-game locations
         Location,
         // Details about an available exit
@@ -52,17 +306,97 @@ var AdventureMachine = (function ($) {
         // The publicly exposed API is defined here
         impl;
     
+    /*
+     * Define the BaseConsole class, the contract that any user interface has to fulfil for a Game to be played through
+     * it. A Game only ever calls display; everything else is about getting commands from the user back to the game.
+     * Implementations call submitCommand with the text the user entered, which notifies the listeners registered via
+     * addCommandListener. They can also offer to complete what the user is typing, using the completion provider set
+     * by setCompletionProvider, e.g. Game.getCompletions.
+     */
+    BaseConsole = function () {
+        this.commandListeners = [];
+        this.completionProvider = undefined;
+    };
+    // Prepare the console for use, e.g. binding to input events
+    BaseConsole.prototype.init = function () {
+        throw 'Cannot initialise base console';
+    };
+    /*
+     * Display a message. Messages can contain simple HTML, e.g. <br/> and <span class="location">.
+     * Supported display types: message, title, section, subsection, description, command, information, error
+     */
+    BaseConsole.prototype.display = function () {
+        throw 'Cannot display using base console';
+    };
+    // Register a function to be called with (commandText, commandParts) whenever the user enters a command
+    BaseConsole.prototype.addCommandListener = function (listener) {
+        this.commandListeners.push(listener);
+    };
+    // Register a function that is called with the text the user has typed so far, and returns the possible completions
+    BaseConsole.prototype.setCompletionProvider = function (provider) {
+        this.completionProvider = provider;
+    };
+    BaseConsole.prototype.getCompletions = function (commandText) {
+        return (this.completionProvider instanceof Function) ? this.completionProvider(commandText) || [] : [];
+    };
+    BaseConsole.prototype.submitCommand = function (commandText) {
+        var commandParts = this.parse(commandText),
+            i;
+        
+        for (i = 0; i < this.commandListeners.length; i += 1) {
+            this.commandListeners[i].call(this, commandText, commandParts);
+        }
+        
+        return commandParts;
+    };
+    // Split command text into its space-separated parts, text in double quotes is kept together as one part
+    BaseConsole.prototype.parse = function (commandText) {
+        var args = [],
+            readingPart = false,
+            part = '',
+            i;
+        
+        for (i = 0; i < commandText.length; i += 1) {
+            if (commandText.charAt(i) === ' ' && !readingPart) {
+                args.push(part);
+                part = '';
+            } else {
+                if (commandText.charAt(i) === '\"') {
+                    readingPart = !readingPart;
+                } else {
+                    part += commandText.charAt(i);
+                }
+            }
+        }
+        
+        if (part && part.length > 0) {
+            args.push(part);
+        }
+        return args;
+    };
+    
     /*
      * Define the console class, the main point of interaction where the user can enter text-based commands and view 
      * the results. When a command is entered, a "onCommand" event is raised on the console instance that has the
-     * details of the command entered.
+     * details of the command entered, as well as the command listeners being notified.
+     * Names in the output marked up by Game.linkEntity can be clicked: exits are gone through, commands are put in the
+     * input field, and items and NPCs show a menu of things to do with them, see the entityMenus option.
      *
      * TODO: Factor out into completely separate component/namespace
      */
     Console = function (config) {
+        BaseConsole.call(this);
+        
         this.config = undefined;
         this.inputField = undefined;
         this.outputArea = undefined;
+        // Commands entered previously, which the up and down arrows step through, see loadHistory
+        this.history = [];
+        this.historyPosition = 0;
+        this.historyKey = undefined;
+        this.draft = '';
+        // The completions offered by the last Tab press, which further presses cycle through
+        this.completion = undefined;
         
         this.defaultOptions = {
             // The element that represents the console, containing both the input and output areas
@@ -72,7 +406,33 @@ var AdventureMachine = (function ($) {
             // The console output is appended to this element under the console container
             outputContainerSelector: '.am-console-output',
             // Output message are placed in paragraphs by default
-            messageWrapper: '<p>'
+            messageWrapper: '<p>',
+            // The number of commands remembered in the history
+            historyLimit: 100,
+            // Where the history is kept between visits
+            storage: (typeof localStorage !== 'undefined') ? localStorage : undefined,
+            // The menus shown when an item or NPC is clicked, by entity type. Choosing a command runs it, unless it
+            // needs more input from the player, in which case it is put in the input field for them to finish.
+            // {name} is replaced by the entity's id in the #id form, so two things with the same name can't be mixed up,
+            // but the command is shown and kept in the history with the entity's title, as the player would type it.
+            entityMenus: {
+                item: [
+                    {label: 'examine', command: 'examine {name}'},
+                    {label: 'take', command: 'take {name}'},
+                    {label: 'use', command: 'use {name}'}
+                ],
+                carried: [
+                    {label: 'examine', command: 'examine {name}'},
+                    {label: 'use', command: 'use {name}'},
+                    {label: 'use on...', command: 'use {name} on ', needsInput: true},
+                    {label: 'drop', command: 'drop {name}'}
+                ],
+                npc: [
+                    {label: 'examine', command: 'examine {name}'},
+                    {label: 'talk to', command: 'talk to {name}'},
+                    {label: 'ask about...', command: 'ask {name} about ', needsInput: true}
+                ]
+            }
         };
         
         if (config) {
@@ -80,25 +440,145 @@ var AdventureMachine = (function ($) {
         }
             
     };
+    Console.prototype = new BaseConsole();
+    Console.prototype.constructor = Console;
     Console.prototype.init = function (options) {
         var config = this.config = $.extend({}, this.defaultOptions, options),
             container = $(config.consoleContainerSelector),
             textEntered,
-            commandParts,
             thisConsole = this;
         
         this.inputField = $(config.inputFieldSelector, container);
         this.outputArea = $(config.outputContainerSelector, container);
         
+        this.inputField.keydown(function (e) {
+            if (e.which === 9) {
+                // Tab
+                e.preventDefault();
+                thisConsole.completeInput();
+            } else if (e.which === 38 || e.which === 40) {
+                // Up and down arrows
+                e.preventDefault();
+                thisConsole.showHistory(e.which === 38 ? -1 : 1);
+            }
+        });
         this.inputField.keyup(function (e) {
             if (e.which === 13) {
                 textEntered = $(e.currentTarget).val();
                 $(e.currentTarget).val('');
-                commandParts = thisConsole.parse(textEntered);
-                // TODO: Need to call into game to execute the command - how to handle two-way association between the Console and the Game?
-                $(thisConsole).trigger('onCommand', {commandText: textEntered, commandParts: commandParts});
+                thisConsole.runCommand(textEntered);
             }
         });
+        
+        this.outputArea.on('click', '[data-entity-type]', function (e) {
+            e.stopPropagation();
+            thisConsole.onEntityClicked($(e.currentTarget));
+        });
+        $(document).on('click', function () {
+            thisConsole.hideEntityMenu();
+        });
+    };
+    // Run a command as if the player had typed it, shown and remembered as the display text if there is one
+    Console.prototype.runCommand = function (commandText, displayText) {
+        var commandParts;
+        
+        displayText = displayText || commandText;
+        this.addToHistory(displayText);
+        this.display('> ' + displayText);
+        commandParts = this.submitCommand(commandText);
+        $(this).trigger('onCommand', {commandText: commandText, commandParts: commandParts});
+    };
+    // Put text in the input field for the player to finish
+    Console.prototype.insertCommand = function (commandText) {
+        this.inputField.val(commandText).focus();
+    };
+    // Respond to the player clicking a name marked up by Game.linkEntity
+    Console.prototype.onEntityClicked = function (element) {
+        var type = element.attr('data-entity-type'),
+            name = element.text();
+        
+        this.hideEntityMenu();
+        if (type === 'exit') {
+            this.runCommand('go ' + name);
+        } else if (type === 'command') {
+            this.insertCommand(name + ' ');
+        } else if (this.config.entityMenus[type]) {
+            this.showEntityMenu(element, this.config.entityMenus[type], '#' + element.attr('data-entity-id'), name);
+        }
+    };
+    // Show a menu of commands for an entity next to its name, run with its id but shown with its title
+    Console.prototype.showEntityMenu = function (element, menuItems, id, title) {
+        var menu = $('<ul/>').addClass('am-entity-menu'),
+            thisConsole = this;
+        
+        $.each(menuItems, function (i, menuItem) {
+            $('<li/>').text(menuItem.label).appendTo(menu).on('click', function (e) {
+                var commandText = menuItem.command.replace('{name}', id),
+                    displayText = menuItem.command.replace('{name}', title);
+                
+                e.stopPropagation();
+                thisConsole.hideEntityMenu();
+                if (menuItem.needsInput) {
+                    thisConsole.insertCommand(displayText);
+                } else {
+                    thisConsole.runCommand(commandText, displayText);
+                }
+            });
+        });
+        element.after(menu);
+    };
+    Console.prototype.hideEntityMenu = function () {
+        this.outputArea.find('.am-entity-menu').remove();
+    };
+    // Load the command history kept for a story, e.g. when a game of it starts
+    Console.prototype.loadHistory = function (storyName) {
+        this.historyKey = 'adventure-machine.history.' + storyName;
+        this.history = (this.config.storage && JSON.parse(this.config.storage.getItem(this.historyKey) || '[]')) || [];
+        this.historyPosition = this.history.length;
+        this.draft = '';
+    };
+    // Remember a command, unless it is empty or the same as the previous one
+    Console.prototype.addToHistory = function (commandText) {
+        if (commandText.trim().length > 0 && commandText !== this.history[this.history.length - 1]) {
+            this.history.push(commandText);
+            if (this.history.length > this.config.historyLimit) {
+                this.history.shift();
+            }
+            if (this.config.storage && this.historyKey) {
+                this.config.storage.setItem(this.historyKey, JSON.stringify(this.history));
+            }
+        }
+        this.historyPosition = this.history.length;
+        this.draft = '';
+    };
+    // Step back (-1) or forward (1) through the history, returning to whatever was being typed after the newest command
+    Console.prototype.showHistory = function (step) {
+        var position = Math.max(0, Math.min(this.history.length, this.historyPosition + step));
+        
+        if (position === this.historyPosition) {
+            return;
+        }
+        if (this.historyPosition === this.history.length) {
+            this.draft = this.inputField.val();
+        }
+        this.historyPosition = position;
+        this.inputField.val(position === this.history.length ? this.draft : this.history[position]);
+    };
+    // Complete the input field, pressing Tab again cycles through the other completions
+    Console.prototype.completeInput = function () {
+        var text = this.inputField.val(),
+            completion = this.completion;
+        
+        if (completion && text === completion.candidates[completion.index]) {
+            completion.index = (completion.index + 1) % completion.candidates.length;
+        } else {
+            completion = this.completion = {candidates: this.getCompletions(text), index: 0};
+            if (completion.candidates.length === 0) {
+                this.completion = undefined;
+                return;
+            }
+        }
+        this.inputField.val(completion.candidates[completion.index]);
     };
     /*
      * Display a message in the console. The type of message is define dby the displayType parameter, which affects how
@@ -129,30 +609,150 @@ var AdventureMachine = (function ($) {
         this.outputArea.append(wrappedMessage);
         this.outputArea.scrollTop(this.outputArea[0].scrollHeight);
     };
-    Console.prototype.parse = function (commandText) {
-        this.display('> ' + commandText);
-        var args = [],
-            readingPart = false,
-            part = '',
+    
+    /*
+     * Define the CommandPanel class, which lets the player build commands by pointing and clicking rather than typing,
+     * e.g. on touch devices. The panel shows a button for each command the game offers; choosing one prompts for each of
+     * its slots (see Command.slots) in turn, with buttons for the names that make sense there and a text field for
+     * anything else. The finished command is run through the console, as if the player had typed it.
+     */
+    CommandPanel = function (console, game) {
+        this.console = console;
+        this.game = game;
+        this.config = undefined;
+        this.panel = undefined;
+        // The command being built: the command, the text so far and the index of the slot being prompted for
+        this.building = undefined;
+        
+        this.defaultOptions = {
+            // The console the panel is placed under
+            consoleContainerSelector: '.am-console',
+            // The panel element under the console container, which is created if the page doesn't have one
+            panelSelector: '.am-command-panel'
+        };
+    };
+    CommandPanel.prototype.init = function (options) {
+        var config = this.config = $.extend({}, this.defaultOptions, options),
+            container = $(config.consoleContainerSelector),
+            thisPanel = this;
+        
+        this.panel = $(config.panelSelector, container);
+        if (this.panel.length === 0) {
+            this.panel = $('<div/>').addClass(config.panelSelector.replace(/^\./, '')).appendTo(container);
+        }
+        
+        // The commands on offer change from location to location, and what is around changes after every command
+        this.game.on('gameStarted', function () {
+            thisPanel.showCommands();
+        });
+        this.game.on('locationEntered', function () {
+            thisPanel.showCommands();
+        });
+        $(this.console).bind('onCommand', function () {
+            thisPanel.showCommands();
+        });
+    };
+    // The commands the player can build, one for each name
+    CommandPanel.prototype.getCommands = function () {
+        var commands = [],
+            names = [],
+            command,
             i;
         
-        for (i = 0; i < commandText.length; i += 1) {
-            if (commandText.charAt(i) === ' ' && !readingPart) {
-                args.push(part);
-                part = '';
-            } else {
-                if (commandText.charAt(i) === '\"') {
-                    readingPart = !readingPart;
-                } else {
-                    part += commandText.charAt(i);
-                }
+        for (i = 0; i < this.game.availableCommands.length; i += 1) {
+            command = this.game.availableCommands[i];
+            if (command.slots && names.indexOf(command.getShortName()) < 0) {
+                names.push(command.getShortName());
+                commands.push(command);
             }
         }
         
-        if (part && part.length > 0) {
-            args.push(part);
+        return commands;
+    };
+    // Add a button to the panel that calls back when clicked
+    CommandPanel.prototype.addButton = function (label, className, callback) {
+        return $('<button type="button"/>').addClass(className).text(label).appendTo(this.panel).on('click', function (e) {
+            e.preventDefault();
+            callback();
+        });
+    };
+    // Show a button for each command, dropping any command that was being built
+    CommandPanel.prototype.showCommands = function () {
+        var thisPanel = this;
+        
+        this.building = undefined;
+        this.panel.empty();
+        $.each(this.getCommands(), function (i, command) {
+            thisPanel.addButton(command.getShortName(), 'am-command-verb', function () {
+                thisPanel.startCommand(command);
+            });
+        });
+    };
+    CommandPanel.prototype.startCommand = function (command) {
+        this.building = {command: command, text: command.getShortName(), slot: 0};
+        this.promptForSlot();
+    };
+    // Prompt for the next slot of the command being built, or run it once there are none left
+    CommandPanel.prototype.promptForSlot = function () {
+        var building = this.building,
+            slot = building.command.slots[building.slot],
+            thisPanel = this,
+            names,
+            textField;
+        
+        if (!slot) {
+            this.finishCommand();
+            return;
         }
-        return args;
+        
+        this.panel.empty();
+        $('<span/>').addClass('am-command-text').text(building.text + (slot.preposition ? ' ' + slot.preposition : '') + '...').appendTo(this.panel);
+        
+        names = this.game.getCompletionNames(slot.kinds);
+        $.each(names, function (i, name) {
+            thisPanel.addButton(name, 'am-command-choice', function () {
+                thisPanel.fillSlot(name);
+            });
+        });
+        if (slot.kinds.indexOf('text') >= 0) {
+            textField = $('<input type="text"/>').addClass('am-command-input').appendTo(this.panel).on('keyup', function (e) {
+                if (e.which === 13) {
+                    thisPanel.fillSlot(textField.val());
+                }
+            });
+            this.addButton('OK', 'am-command-choice', function () {
+                thisPanel.fillSlot(textField.val());
+            });
+            textField.focus();
+        } else if (names.length === 0 && !slot.optional) {
+            $('<span/>').addClass('am-command-empty').text('There is nothing here to choose.').appendTo(this.panel);
+        }
+        if (slot.optional) {
+            this.addButton('Done', 'am-command-done', function () {
+                thisPanel.finishCommand();
+            });
+        }
+        this.addButton('Cancel', 'am-command-cancel', function () {
+            thisPanel.showCommands();
+        });
+    };
+    CommandPanel.prototype.fillSlot = function (value) {
+        var building = this.building,
+            slot = building.command.slots[building.slot];
+        
+        if (!value || value.trim().length === 0) {
+            return;
+        }
+        building.text += (slot.preposition ? ' ' + slot.preposition : '') + ' ' + value.trim();
+        building.slot += 1;
+        this.promptForSlot();
+    };
+    // Run the command built so far through the console, which puts the panel back to showing the commands
+    CommandPanel.prototype.finishCommand = function () {
+        var commandText = this.building.text;
+        
+        this.building = undefined;
+        this.console.runCommand(commandText);
     };
     
     /*
@@ -163,7 +763,15 @@ var AdventureMachine = (function ($) {
         this.game = undefined;
         this.shortName = shortName;
         this.description = description;
+        // Whether carrying out the command passes a turn in the game, which isn't the case for e.g. "help" or "save"
+        this.takesTurn = true;
+        // What follows the command name, as completed by Game.getCompletions and offered by the CommandPanel: each slot is
+        // {kinds, preposition, optional}, where the kinds are those of Game.getCompletionNames or 'text' for anything the
+        // player types. Commands without slots aren't offered by the CommandPanel at all.
+        this.slots = [];
     };
+    // Carry out the command. It can return true or false to say whether it succeeded, otherwise it has failed if it
+    // printed an error, see Game.executeCommand
     Command.prototype.execute = function () {
         throw 'Cannot execute base command';
     };
@@ -173,6 +781,37 @@ var AdventureMachine = (function ($) {
     Command.prototype.getShortName = function () {
         return this.shortName;
     };
+    // Does the command handle this input? By default, if the input starts with the command name as whole words.
+    Command.prototype.matches = function (commandText) {
+        return startsWithWords(commandText, this.shortName);
+    };
+    // Find the text typed for each of the command's slots in the input, returning [{slot, start, end}] where start and
+    // end are indexes into the input's words. A slot starts after its preposition, or after the command name if it's the first.
+    Command.prototype.splitSlots = function (commandText) {
+        var words = commandText.split(' '),
+            parts = [],
+            part,
+            i,
+            j;
+        
+        if (!this.slots || this.slots.length === 0) {
+            return parts;
+        }
+        part = {slot: this.slots[0], start: this.shortName.split(' ').length};
+        parts.push(part);
+        for (i = part.start; i < words.length; i += 1) {
+            for (j = 1; j < this.slots.length; j += 1) {
+                if (this.slots[j].preposition === words[i].toLowerCase()) {
+                    part.end = i;
+                    part = {slot: this.slots[j], start: i + 1};
+                    parts.push(part);
+                }
+            }
+        }
+        part.end = words.length;
+        
+        return parts;
+    };
     
     /*
      * Simple command that fires the provided callback
@@ -184,7 +823,7 @@ var AdventureMachine = (function ($) {
     CallbackCommand.prototype = new Command();
     CallbackCommand.prototype.constructor = CallbackCommand;
     CallbackCommand.prototype.execute = function () {
-        this.callback.apply(this, arguments);
+        return this.callback.apply(this, arguments);
     };
     
     /*
@@ -192,10 +831,8 @@ var AdventureMachine = (function ($) {
      * 1) "<command> <target>" - e.g. "use key"
      * 2) "<command> <target1> <preposition> <target2>" - e.g. "use key on door"
      * Uses regexes to match the command name and parameters based on this format, and if either format is matched will
-     * execute the provided callback providing the extracted parameters. If the command does not match the format, but
-     * does start with the provided command name, then the command usage description is displayed instead.
-     * If the command does not start with the specified command name, then it is ignored as entered commands are passed
-     * through all of the registered Command instances to find suitable handlers.
+     * execute the provided callback providing the extracted parameters. If the command does not match the format, then
+     * the command usage description is displayed instead.
      */
     RegexCallbackCommand = function (commandName, preposition, description, callback) {
         var simplePattern,
@@ -212,6 +849,7 @@ var AdventureMachine = (function ($) {
         }
         
         this.callback = callback;
+        this.slots = [{kinds: ['items', 'npcs']}];
         
     };
     RegexCallbackCommand.prototype = new Command();
@@ -221,91 +859,1253 @@ var AdventureMachine = (function ($) {
             target1,
             target2;
         
-        if (commandText.toUpperCase().startsWith(this.shortName.toUpperCase())) {
-            regexResult = (this.longformRegex) ? this.longformRegex.exec(commandText) : null;
+        regexResult = (this.longformRegex) ? this.longformRegex.exec(commandText) : null;
+        if (regexResult) {
+            // Full command matched
+            target1 = regexResult[1];
+            target2 = regexResult[2];
+        } else {
+            regexResult = this.shortformRegex.exec(commandText);
             if (regexResult) {
-                // Full command matched
+                // Basic command matched
                 target1 = regexResult[1];
-                target2 = regexResult[2];
-            } else {
-                regexResult = this.shortformRegex.exec(commandText);
-                if (regexResult) {
-                    // Basic command matched
-                    target1 = regexResult[1];
-                }
             }
+        }
 
-            if (!target1 || target1.length === 0) {
-                // Incorrect usage, e.g. only command name used, print usage
-                this.game.printInformation('Usage:<br/>' + this.getDescription());
-            } else {
-                this.callback.apply(this, [commandText, target1, target2]);
-            }
+        if (!target1 || target1.length === 0) {
+            // Incorrect usage, e.g. only command name used, print usage as an error so that it doesn't take a turn
+            this.game.printError('Usage:<br/>' + this.getDescription());
+        } else {
+            return this.callback.apply(this, [commandText, target1, target2]);
         }
-        
     };
     
     
     /*
-     * Define the Game class, which keeps track of the current game session (e.g. locations, items and so on).
+     * Define the Story class, which builds the data for a new Game from a plain JSON document, so that stories can be
+     * shipped as data files rather than JavaScript. The document looks like:
+     * {
+     *     "name": "The Silence",
+     *     "startLocation": "atrium",
+     *     "inventory": ["flashlight"],
+     *     "locations": [{"id": "atrium", "title": "Atrium", "description": "...", "returnDescription": "...",
+     *                    "exits": [{"name": "South", "destination": "conferenceRoom"},
+     *                              {"name": "Lift", "destination": "corridor-1", "locked": true, "key": "lift-keycard"}],
+     *                    "items": ["lift-control-panel"], "npcs": ["security-guard"]},
+     *                   {"id": "cupboard", "title": "Cupboard", "description": "...", "dark": true, "darkDescription": "..."}],
+     *     "items": [{"id": "flashlight", "title": "Flashlight", "description": "...", "usable": true,
+     *                "aliases": ["torch"], "adjectives": ["cracked"], "light": {"on": false, "battery": 50},
+     *                "weight": 2, "bulk": 1}],
+     *     "fixtures": [{"id": "lift-control-panel", "title": "Lift Control Panel", "description": "..."},
+     *                  {"id": "desk", "title": "Desk", "container": {"contents": ["memo"], "locked": true, "key": "desk-key"}}],
+     *     "npcs": [{"id": "security-guard", "title": "Security Guard", "description": "...", "talk": "Evening.",
+     *               "dialogue": {"start": "hello", "nodes": {...}},
+     *               "topics": [{"id": "lift", "keywords": ["lift", "elevator"], "reply": "..."}],
+     *               "defaultReply": "Couldn't tell you.", "movement": {"mode": "route", "route": ["atrium", "..."]},
+     *               "inventory": ["coffee"], "accepts": [{"item": "donut"}], "sells": [{"item": "coffee", "price": 2}]}],
+     *     "synonyms": {"swipe": "use"},
+     *     "variables": {"generatorFixed": false, "money": 5},
+     *     "currency": {"variable": "money", "singular": "pound", "plural": "pounds"},
+     *     "capacity": {"weight": 10, "bulk": 6},
+     *     "undoLimit": 20,
+     *     "wallClock": false,
+     *     "recipes": [{"items": ["battery", "flashlight"], "result": "working-flashlight", "message": "..."}],
+     *     "scoring": {"awards": [{"id": "found-lift", "points": 5, "on": "locationEntered", "location": "corridor-1"}],
+     *                 "ranks": [{"score": 0, "title": "Intern"}]}
+     * }
+     * Exits can have a "condition" (see Game.evaluateCondition), and descriptions and NPC replies can be lists of
+     * variants with conditions (see BaseEntity.resolveText). Dialogues are described by Dialogue, topics by
+     * NPC.addTopics, NPC movement by NPC.setMovement, accepted items and sales by NPC.addAcceptedItems and
+     * NPC.addSales, containers by Item.makeContainer, light sources by Item.makeLightSource, recipes by Game.addRecipes and scoring by Scoreboard.
+     * Setting "wallClock" to true ticks entities on a timer rather than every turn, see Scheduler.
+     * Every call to getGameData creates new entity instances, so the same Story can be used to start several games.
      */
-    Game = function (console) {
-        this.name = undefined;
-        // List of all available commands
-        this.availableCommands = [];
-        // List of commands defined by the story
-        this.storyCommands = [];
-        // The UI
-        this.console = console;
-        // Available locations
-        this.locations = {};
-        // The in-game location that the user is currently exploring
-        this.currentLocation = undefined;
-        // Available NPCs
-        this.npcs = undefined;
-        // Items available in-game, usually by finding them in locations or given by NPCs
-        this.availableItems = undefined;
-        // The collection of items picked up by the player when exploring the game
-        this.inventory = undefined;
-        // Centralised timer to manage scheduled events from NPCs, items etc
-        this.centralTimer = {
-
-            timerID: 0,
-            timers: [],
-
-            add: function (fn) {
-                this.timers.push(fn);
-            },
-
-            start: function () {
-                var centralTimer = this;
-                if (this.timerID) {
-                    return;
-                }
-                
-                (function runNext () {
-                    if (centralTimer.timers.length > 0) {
-                        for (var i = 0; i < centralTimer.timers.length; i++) {
-                            if (centralTimer.timers[i]() === false) {
-                                centralTimer.timers.splice(i, 1);
-                                i--;
-                            }
+    Story = function (storyData) {
+        if (typeof storyData === 'string') {
+            storyData = JSON.parse(storyData);
+        }
+        if (!storyData || typeof storyData !== 'object') {
+            throw 'Error: Story data must be an object or a JSON string';
+        }
+        
+        this.data = storyData;
+        this.name = storyData.name;
+    };
+    // Fetch a story document, calling onLoad with the new Story or onError if it couldn't be loaded. In the browser the
+    // story is fetched from a URL with jQuery, under Node it is read from a file path.
+    Story.load = function (url, onLoad, onError) {
+        var create = function (storyData) {
+                var story;
+                try {
+                    story = new Story(storyData);
+                } catch (e) {
+                    if (onError) {
+                        onError(e);
+                    }
+                    return;
+                }
+                onLoad(story);
+            },
+            fail = function (error) {
+                if (onError) {
+                    onError('Error: Unable to load story from "' + url + '": ' + error);
+                }
+            };
+        
+        if ($) {
+            $.getJSON(url).done(create).fail(function (jqXHR, textStatus, error) {
+                fail(error || textStatus);
+            });
+        } else if (typeof require === 'function') {
+            require('fs').readFile(url, 'utf8', function (error, storyText) {
+                if (error) {
+                    fail(error.message);
+                } else {
+                    create(storyText);
+                }
+            });
+        } else {
+            fail('jQuery is required to load stories in the browser');
+        }
+    };
+    // Build the gameData expected by Game.newGame
+    Story.prototype.getGameData = function () {
+        var data = this.data,
+            items = [],
+            npcs = [],
+            locations = [],
+            i;
+        
+        for (i = 0; data.items && i < data.items.length; i += 1) {
+            items.push(this.createItem(data.items[i], Item));
+        }
+        for (i = 0; data.fixtures && i < data.fixtures.length; i += 1) {
+            items.push(this.createItem(data.fixtures[i], Fixture));
+        }
+        for (i = 0; data.npcs && i < data.npcs.length; i += 1) {
+            npcs.push(this.createNpc(data.npcs[i]));
+        }
+        for (i = 0; data.locations && i < data.locations.length; i += 1) {
+            locations.push(this.createLocation(data.locations[i]));
+        }
+        
+        return {
+            name: data.name,
+            locations: locations,
+            startLocation: data.startLocation || (locations.length > 0 && locations[0].id),
+            items: items,
+            inventory: (data.inventory || []).slice(),
+            npcs: npcs,
+            synonyms: data.synonyms,
+            variables: data.variables,
+            scoring: data.scoring,
+            currency: data.currency,
+            recipes: data.recipes,
+            capacity: data.capacity,
+            undoLimit: data.undoLimit,
+            wallClock: data.wallClock,
+            commands: []
+        };
+    };
+    /*
+     * Check the gameData for a story (or a Story instance) for broken references before a game is started with it.
+     * Returns a report of the form {valid: boolean, errors: [], warnings: []}, where each problem is an object like
+     * {code: 'dangling-exit', id: 'atrium', message: '...'}.
+     * Errors would break the game when encountered: missing or duplicate ids, exits to unknown locations, unknown
+     * item or NPC codes, awards for unknown locations, items or NPCs, dialogue choices leading to unknown nodes, topics
+     * unlocking unknown topics, NPCs moving to unknown locations, NPCs carrying, accepting or selling unknown items,
+     * containers holding or locked by unknown items, recipes using or making unknown items, invalid conditions and a
+     * wall clock setting that isn't true or false.
+     * Warnings may be intentional, as story code can add exits and items at runtime: locations that can't be reached
+     * from the start location, items that are never placed anywhere and NPCs selling items they don't start with.
+     */
+    Story.validate = function (gameData) {
+        var report = {valid: true, errors: [], warnings: []},
+            locations = {},
+            items = {},
+            npcs = {},
+            placedItems = {},
+            reachable = {},
+            awards,
+            award,
+            pending,
+            location,
+            exit,
+            code,
+            i,
+            addProblem = function (problems, code, id, message) {
+                problems.push({code: code, id: id, message: message});
+            },
+            checkDialogue = function (npc) {
+                var dialogue = npc.dialogue,
+                    checkNode = function (nodeId, subject) {
+                        if (nodeId !== undefined && !dialogue.getNode(nodeId)) {
+                            addProblem(report.errors, 'unknown-dialogue-node', npc.id, subject + ' leads to unknown node "' + nodeId + '"');
+                        }
+                    },
+                    checkEffects = function (effects, subject) {
+                        var k;
+                        for (k = 0; effects && k < effects.length; k += 1) {
+                            if (effects[k].giveItem !== undefined && !items.hasOwnProperty(effects[k].giveItem)) {
+                                addProblem(report.errors, 'unknown-item', npc.id, subject + ' gives unknown item "' + effects[k].giveItem + '"');
+                            }
+                        }
+                    },
+                    nodeId,
+                    node,
+                    subject,
+                    k;
+                
+                checkNode(dialogue.start, 'The dialogue for "' + npc.id + '"');
+                for (nodeId in dialogue.nodes) {
+                    if (dialogue.nodes.hasOwnProperty(nodeId)) {
+                        node = dialogue.nodes[nodeId];
+                        subject = 'Dialogue node "' + nodeId + '" for "' + npc.id + '"';
+                        checkNode(node.returnTo, subject);
+                        checkEffects(node.effects, subject);
+                        for (k = 0; node.choices && k < node.choices.length; k += 1) {
+                            subject = 'Choice ' + (k + 1) + ' of dialogue node "' + nodeId + '" for "' + npc.id + '"';
+                            checkNode(node.choices[k].next, subject);
+                            checkEffects(node.choices[k].effects, subject);
+                            checkCondition(node.choices[k].condition, npc.id, subject);
                         }
-                        centralTimer.timerID = setTimeout(runNext, 0);
                     }
-                })();
-            },
-
-            stop: function () {
-                clearTimeout(this.timerID);
-                this.timerID = 0;
-            },
-            
-            clear: function () {
-                this.stop();
-                this.timers = [];
+                }
+            },
+            checkTopics = function (npc) {
+                var ids = {},
+                    topic,
+                    k,
+                    m;
+                
+                for (k = 0; k < npc.topics.length; k += 1) {
+                    ids[npc.topics[k].id] = true;
+                }
+                for (k = 0; k < npc.topics.length; k += 1) {
+                    topic = npc.topics[k];
+                    for (m = 0; topic.unlocks && m < topic.unlocks.length; m += 1) {
+                        if (!ids[topic.unlocks[m]]) {
+                            addProblem(report.errors, 'unknown-topic', npc.id, 'Topic "' + topic.id + '" for "' + npc.id + '" unlocks unknown topic "' + topic.unlocks[m] + '"');
+                        }
+                    }
+                    checkCondition(topic.condition, npc.id, 'Topic "' + topic.id + '" for "' + npc.id + '"');
+                }
+            },
+            checkMovement = function (npc) {
+                var movement = npc.movement,
+                    destinations,
+                    k;
+                
+                if (movement) {
+                    destinations = (movement.route || []).concat(movement.locations || []);
+                    for (k = 0; k < destinations.length; k += 1) {
+                        if (!locations.hasOwnProperty(destinations[k])) {
+                            addProblem(report.errors, 'unknown-location', npc.id, 'NPC "' + npc.id + '" moves to unknown location "' + destinations[k] + '"');
+                        }
+                    }
+                    checkCondition(movement.condition, npc.id, 'The movement of NPC "' + npc.id + '"');
+                }
+            },
+            checkNpcItems = function (npc) {
+                var checkItem = function (itemId, subject) {
+                        if (!items.hasOwnProperty(itemId)) {
+                            addProblem(report.errors, 'unknown-item', npc.id, 'NPC "' + npc.id + '" ' + subject + ' unknown item "' + itemId + '"');
+                        }
+                    },
+                    k;
+                
+                for (k = 0; k < npc.itemCodes.length; k += 1) {
+                    checkItem(npc.itemCodes[k], 'carries');
+                    placedItems[npc.itemCodes[k]] = true;
+                }
+                for (k = 0; k < npc.acceptedItems.length; k += 1) {
+                    checkItem(npc.acceptedItems[k].item, 'accepts');
+                    checkCondition(npc.acceptedItems[k].condition, npc.id, 'An item accepted by NPC "' + npc.id + '"');
+                }
+                for (k = 0; k < npc.sales.length; k += 1) {
+                    checkItem(npc.sales[k].item, 'sells');
+                    if (npc.itemCodes.indexOf(npc.sales[k].item) < 0) {
+                        addProblem(report.warnings, 'unstocked-sale', npc.id, 'NPC "' + npc.id + '" sells "' + npc.sales[k].item + '" but doesn\'t start with it');
+                    }
+                    if (typeof npc.sales[k].price === 'string') {
+                        checkItem(npc.sales[k].price, 'wants');
+                    } else if (!gameData.currency) {
+                        addProblem(report.errors, 'missing-currency', npc.id, 'NPC "' + npc.id + '" sells "' + npc.sales[k].item + '" for money, but the story has no currency');
+                    }
+                }
+            },
+            checkRecipe = function (recipe, id) {
+                var k;
+                
+                if (!(recipe.items instanceof Array) || recipe.items.length !== 2) {
+                    addProblem(report.errors, 'invalid-recipe', id, 'Recipe "' + id + '" must combine exactly two items');
+                }
+                for (k = 0; recipe.items && k < recipe.items.length; k += 1) {
+                    if (!items.hasOwnProperty(recipe.items[k])) {
+                        addProblem(report.errors, 'unknown-item', id, 'Recipe "' + id + '" uses unknown item "' + recipe.items[k] + '"');
+                    }
+                }
+                if (!items.hasOwnProperty(recipe.result)) {
+                    addProblem(report.errors, 'unknown-item', id, 'Recipe "' + id + '" makes unknown item "' + recipe.result + '"');
+                }
+                placedItems[recipe.result] = true;
+                if (recipe.fixture !== undefined && !items.hasOwnProperty(recipe.fixture)) {
+                    addProblem(report.errors, 'unknown-item', id, 'Recipe "' + id + '" needs unknown item "' + recipe.fixture + '"');
+                }
+                if (recipe.location !== undefined && !locations.hasOwnProperty(recipe.location)) {
+                    addProblem(report.errors, 'unknown-location', id, 'Recipe "' + id + '" needs unknown location "' + recipe.location + '"');
+                }
+                checkCondition(recipe.condition, id, 'Recipe "' + id + '"');
+            },
+            checkCondition = function (condition, id, subject) {
+                if (typeof condition === 'string') {
+                    try {
+                        compileCondition(condition);
+                    } catch (e) {
+                        addProblem(report.errors, 'invalid-condition', id, subject + ' has an invalid condition: ' + e);
+                    }
+                }
+            },
+            index = function (entities, lookup, type) {
+                var k,
+                    entity;
+                for (k = 0; entities && k < entities.length; k += 1) {
+                    entity = entities[k];
+                    if (!entity || !entity.id) {
+                        addProblem(report.errors, 'missing-id', undefined, 'A ' + type + ' has no id');
+                    } else if (lookup.hasOwnProperty(entity.id)) {
+                        addProblem(report.errors, 'duplicate-id', entity.id, 'The ' + type + ' id "' + entity.id + '" is used more than once');
+                    } else {
+                        lookup[entity.id] = entity;
+                    }
+                }
+            };
+        
+        if (gameData instanceof Story) {
+            gameData = gameData.getGameData();
+        }
+        
+        index(gameData.locations, locations, 'location');
+        index(gameData.items, items, 'item');
+        index(gameData.npcs, npcs, 'NPC');
+        awards = (gameData.scoring && gameData.scoring.awards) || [];
+        
+        for (code in locations) {
+            if (locations.hasOwnProperty(code)) {
+                location = locations[code];
+                for (i = 0; i < location.exits.length; i += 1) {
+                    exit = location.exits[i];
+                    if (!locations.hasOwnProperty(exit.destinationLocationId)) {
+                        addProblem(report.errors, 'dangling-exit', location.id, 'The exit "' + exit.exitName + '" from "' + location.id + '" leads to unknown location "' + exit.destinationLocationId + '"');
+                    }
+                    if (exit.key && !items.hasOwnProperty(exit.key)) {
+                        addProblem(report.errors, 'unknown-item', location.id, 'The exit "' + exit.exitName + '" from "' + location.id + '" is unlocked by unknown item "' + exit.key + '"');
+                    }
+                    checkCondition(exit.condition, location.id, 'The exit "' + exit.exitName + '" from "' + location.id + '"');
+                }
+                for (i = 0; location.itemCodes && i < location.itemCodes.length; i += 1) {
+                    if (!items.hasOwnProperty(location.itemCodes[i])) {
+                        addProblem(report.errors, 'unknown-item', location.id, 'Location "' + location.id + '" contains unknown item "' + location.itemCodes[i] + '"');
+                    }
+                    placedItems[location.itemCodes[i]] = true;
+                }
+                for (i = 0; location.npcCodes && i < location.npcCodes.length; i += 1) {
+                    if (!npcs.hasOwnProperty(location.npcCodes[i])) {
+                        addProblem(report.errors, 'unknown-npc', location.id, 'Location "' + location.id + '" contains unknown NPC "' + location.npcCodes[i] + '"');
+                    }
+                }
+            }
+        }
+        
+        for (i = 0; gameData.inventory && i < gameData.inventory.length; i += 1) {
+            if (!items.hasOwnProperty(gameData.inventory[i])) {
+                addProblem(report.errors, 'unknown-item', gameData.inventory[i], 'The starting inventory contains unknown item "' + gameData.inventory[i] + '"');
+            }
+            placedItems[gameData.inventory[i]] = true;
+        }
+        
+        if (!locations.hasOwnProperty(gameData.startLocation)) {
+            addProblem(report.errors, 'unknown-start-location', gameData.startLocation, 'The start location "' + gameData.startLocation + '" does not exist');
+        }
+        if (gameData.wallClock !== undefined && typeof gameData.wallClock !== 'boolean') {
+            addProblem(report.errors, 'invalid-wall-clock', gameData.name, 'The wall clock setting must be true or false, not "' + gameData.wallClock + '"');
+        }
+        if (locations.hasOwnProperty(gameData.startLocation)) {
+            // Walk the exits from the start location to find every location the player can get to
+            pending = [gameData.startLocation];
+            reachable[gameData.startLocation] = true;
+            while (pending.length > 0) {
+                location = locations[pending.shift()];
+                for (i = 0; i < location.exits.length; i += 1) {
+                    code = location.exits[i].destinationLocationId;
+                    if (locations.hasOwnProperty(code) && !reachable[code]) {
+                        reachable[code] = true;
+                        pending.push(code);
+                    }
+                }
+            }
+            for (code in locations) {
+                if (locations.hasOwnProperty(code) && !reachable[code]) {
+                    addProblem(report.warnings, 'unreachable-location', code, 'Location "' + code + '" cannot be reached from the start location');
+                }
+            }
+        }
+        
+        for (code in npcs) {
+            if (npcs.hasOwnProperty(code)) {
+                checkTopics(npcs[code]);
+                checkMovement(npcs[code]);
+                checkNpcItems(npcs[code]);
+                if (npcs[code].dialogue) {
+                    checkDialogue(npcs[code]);
+                }
+            }
+        }
+        
+        for (i = 0; i < awards.length; i += 1) {
+            award = awards[i];
+            code = award.id || 'award-' + i;
+            if (award.location !== undefined && !locations.hasOwnProperty(award.location)) {
+                addProblem(report.errors, 'unknown-location', code, 'Award "' + code + '" is for unknown location "' + award.location + '"');
+            }
+            if (award.item !== undefined && !items.hasOwnProperty(award.item)) {
+                addProblem(report.errors, 'unknown-item', code, 'Award "' + code + '" is for unknown item "' + award.item + '"');
+            }
+            if (award.npc !== undefined && !npcs.hasOwnProperty(award.npc)) {
+                addProblem(report.errors, 'unknown-npc', code, 'Award "' + code + '" is for unknown NPC "' + award.npc + '"');
+            }
+            checkCondition(award.condition, code, 'Award "' + code + '"');
+        }
+        
+        for (i = 0; gameData.recipes && i < gameData.recipes.length; i += 1) {
+            checkRecipe(gameData.recipes[i], 'recipe-' + i);
+        }
+        for (code in items) {
+            if (items.hasOwnProperty(code) && items[code].isContainer && items[code].isContainer()) {
+                for (i = 0; i < items[code].itemCodes.length; i += 1) {
+                    if (!items.hasOwnProperty(items[code].itemCodes[i])) {
+                        addProblem(report.errors, 'unknown-item', code, 'Container "' + code + '" contains unknown item "' + items[code].itemCodes[i] + '"');
+                    }
+                    placedItems[items[code].itemCodes[i]] = true;
+                }
+                if (items[code].key && !items.hasOwnProperty(items[code].key)) {
+                    addProblem(report.errors, 'unknown-item', code, 'Container "' + code + '" is unlocked by unknown item "' + items[code].key + '"');
+                }
+                checkCondition(items[code].condition, code, 'Container "' + code + '"');
+            }
+        }
+        for (code in items) {
+            if (items.hasOwnProperty(code) && !placedItems[code]) {
+                addProblem(report.warnings, 'unplaced-item', code, 'Item "' + code + '" is not placed in any location, container, NPC inventory or the starting inventory, or made by a recipe');
+            }
+        }
+        
+        report.valid = report.errors.length === 0;
+        
+        return report;
+    };
+    // Validate this story, see Story.validate
+    Story.prototype.validate = function () {
+        return Story.validate(this);
+    };
+    Story.prototype.createLocation = function (locationData) {
+        var exits = [],
+            exit,
+            i;
+        
+        for (i = 0; locationData.exits && i < locationData.exits.length; i += 1) {
+            exit = locationData.exits[i];
+            exits.push([exit.name, exit.destination, undefined, exit]);
+        }
+        
+        return new Location(locationData.id, locationData.title, locationData.description, exits, (locationData.items || []).slice(), (locationData.npcs || []).slice(), {
+            returnDescription: locationData.returnDescription,
+            dark: locationData.dark,
+            darkDescription: locationData.darkDescription
+        });
+    };
+    // Items and fixtures share a format; fixtures simply can't be collected
+    Story.prototype.createItem = function (itemData, ItemType) {
+        var item;
+        
+        if (ItemType === Fixture) {
+            item = new Fixture(itemData.id, itemData.title, itemData.description, undefined, itemData.usable);
+        } else {
+            item = new Item(itemData.id, itemData.title, itemData.description, undefined, itemData.usable, itemData.collectable);
+        }
+        this.addNames(item, itemData);
+        if (itemData.container) {
+            item.makeContainer(itemData.container);
+        }
+        if (itemData.light) {
+            item.makeLightSource(itemData.light);
+        }
+        if (itemData.weight !== undefined) {
+            item.weight = itemData.weight;
+        }
+        if (itemData.bulk !== undefined) {
+            item.bulk = itemData.bulk;
+        }
+        
+        return item;
+    };
+    // NPCs can declare a greeting used when the player talks to them, otherwise the NPC defaults apply
+    Story.prototype.createNpc = function (npcData) {
+        var onTalk,
+            npc;
+        
+        if (npcData.talk) {
+            onTalk = function () {
+                this.reply(npcData.talk);
+            };
+        }
+        
+        npc = new NPC(npcData.id, npcData.title, npcData.description, undefined, undefined, onTalk);
+        this.addNames(npc, npcData);
+        npc.setDialogue(npcData.dialogue);
+        npc.addTopics(npcData.topics);
+        npc.defaultReply = npcData.defaultReply;
+        if (npcData.movement) {
+            npc.setMovement(npcData.movement);
+        }
+        npc.itemCodes = (npcData.inventory || []).slice();
+        npc.addAcceptedItems(npcData.accepts);
+        npc.addSales(npcData.sells);
+        
+        return npc;
+    };
+    // Items, fixtures and NPCs can all declare the aliases and adjectives the player can refer to them by
+    Story.prototype.addNames = function (entity, entityData) {
+        entity.addAliases(entityData.aliases);
+        entity.addAdjectives(entityData.adjectives);
+    };
+    
+    /*
+     * Define the InputNormaliser class, which sits in front of the game's commands so players can type more natural
+     * input. It splits chained input into separate commands ("take flashlight, go south then look"), maps verb
+     * synonyms to the command they stand for ("pick up" to "take", "x" to "examine"), strips articles and replaces
+     * pronouns with the name of the entity they refer to.
+     */
+    InputNormaliser = function (game, synonyms) {
+        var synonym;
+        
+        this.game = game;
+        this.synonyms = {};
+        
+        for (synonym in InputNormaliser.defaultSynonyms) {
+            if (InputNormaliser.defaultSynonyms.hasOwnProperty(synonym)) {
+                this.addSynonym(synonym, InputNormaliser.defaultSynonyms[synonym]);
+            }
+        }
+        for (synonym in synonyms) {
+            if (synonyms.hasOwnProperty(synonym)) {
+                this.addSynonym(synonym, synonyms[synonym]);
+            }
+        }
+    };
+    // Verb synonyms, mapped to the command they stand for
+    InputNormaliser.defaultSynonyms = {
+        'get': 'take',
+        'grab': 'take',
+        'pick up': 'take',
+        'x': 'examine',
+        'look at': 'examine',
+        'inspect': 'examine',
+        'l': 'look',
+        'i': 'inventory',
+        'inv': 'inventory',
+        'talk with': 'talk to',
+        'speak to': 'talk to',
+        'speak with': 'talk to',
+        'walk': 'go',
+        'put down': 'drop',
+        'look inside': 'look in',
+        'search': 'look in',
+        'switch on': 'turn on',
+        'switch off': 'turn off'
+    };
+    // Words that are removed from input, as commands don't need them
+    InputNormaliser.articles = ['the', 'a', 'an'];
+    // Pronouns that are replaced by the last entity the player referred to. "Him" and "her" only refer to NPCs.
+    InputNormaliser.pronouns = ['it', 'them', 'him', 'her'];
+    // Add a synonym for a command, e.g. addSynonym('fetch', 'take')
+    InputNormaliser.prototype.addSynonym = function (synonym, commandName) {
+        this.synonyms[synonym.toLowerCase()] = commandName;
+    };
+    // Split input into the separate commands it contains, on commas, semicolons, full stops, "then" and "and" when it
+    // is followed by a command name, e.g. "take key and go south". After "except" or "but", commas only split when a
+    // command name follows them too, so that "take all except key, torch" stays one command.
+    InputNormaliser.prototype.split = function (commandText) {
+        var segments = commandText.split(/\s*(?:;|\.(?:\s|$)|\band then\b|\bthen\b)\s*/i),
+            commands = [],
+            parts,
+            current,
+            comma,
+            i,
+            j;
+        
+        for (i = 0; i < segments.length; i += 1) {
+            // Keep the separators, at the odd indexes, so that parts can be joined back up
+            parts = segments[i].split(/(\s*,\s*|\s+and\s+)/i);
+            current = parts[0];
+            for (j = 2; j < parts.length; j += 2) {
+                comma = parts[j - 1].trim() === ',';
+                if (this.isCommandName(parts[j]) || (comma && !/\b(?:except|but)\b/i.test(current))) {
+                    commands.push(current);
+                    current = parts[j];
+                } else if (parts[j].length > 0) {
+                    current += (comma ? ', ' : ' and ') + parts[j];
+                }
+            }
+            commands.push(current);
+        }
+        
+        return commands.filter(function (command) {
+            return command.trim().length > 0;
+        });
+    };
+    // Does the text start with the name of an available command, or a synonym for one?
+    InputNormaliser.prototype.isCommandName = function (text) {
+        var commands = this.game.availableCommands,
+            i;
+        
+        if (this.findSynonym(text)) {
+            return true;
+        }
+        for (i = 0; i < commands.length; i += 1) {
+            if (startsWithWords(text, commands[i].getShortName())) {
+                return true;
+            }
+        }
+        
+        return false;
+    };
+    // Find the longest synonym that the text starts with
+    InputNormaliser.prototype.findSynonym = function (text) {
+        var found,
+            synonym;
+        
+        for (synonym in this.synonyms) {
+            if (this.synonyms.hasOwnProperty(synonym) && startsWithWords(text, synonym) && (!found || synonym.length > found.length)) {
+                found = synonym;
+            }
+        }
+        
+        return found;
+    };
+    // Normalise a single command, returning undefined if it can't be understood (e.g. a pronoun that refers to nothing).
+    // Articles and pronouns are only rewritten in the command's slots for entities (see Command.slots), so that free text
+    // such as a topic is left as typed. A pronoun becomes the id of what it refers to, so it can't be ambiguous.
+    InputNormaliser.prototype.normalise = function (commandText) {
+        var command,
+            slots,
+            words,
+            synonym,
+            referenced,
+            word,
+            i,
+            j;
+        
+        commandText = commandText.trim().replace(/\s+/g, ' ');
+        synonym = this.findSynonym(commandText);
+        if (synonym) {
+            commandText = this.synonyms[synonym] + commandText.slice(synonym.length);
+        }
+        command = this.game.findCommand(commandText);
+        slots = command ? command.splitSlots(commandText) : [];
+        
+        words = commandText.split(' ');
+        for (i = slots.length - 1; i >= 0; i -= 1) {
+            for (j = slots[i].end - 1; j >= slots[i].start && slots[i].slot.kinds.indexOf('text') < 0; j -= 1) {
+                word = words[j].toLowerCase();
+                if (InputNormaliser.articles.indexOf(word) >= 0) {
+                    words.splice(j, 1);
+                } else if (InputNormaliser.pronouns.indexOf(word) >= 0) {
+                    referenced = (word === 'him' || word === 'her') ? this.game.lastReferencedNpc : this.game.lastReferenced;
+                    if (!referenced) {
+                        this.game.printError('I\'m not sure what "' + words[j] + '" refers to.');
+                        return undefined;
+                    }
+                    words[j] = '#' + referenced.id;
+                }
+            }
+        }
+        
+        return words.join(' ');
+    };
+    
+    /*
+     * Define the VariableStore class, where a game keeps flags, counters and strings that record the player's progress,
+     * e.g. whether a puzzle has been solved. Values have to be JSON-compatible so they can be saved.
+     * Conditions can test the values, e.g. "flag:generatorFixed" or "var:fuses>=2".
+     */
+    VariableStore = function (values) {
+        this.values = {};
+        this.setState(values);
+    };
+    VariableStore.prototype.get = function (name, defaultValue) {
+        return this.values.hasOwnProperty(name) ? this.values[name] : defaultValue;
+    };
+    VariableStore.prototype.set = function (name, value) {
+        this.values[name] = value;
+    };
+    VariableStore.prototype.has = function (name) {
+        return this.values.hasOwnProperty(name);
+    };
+    VariableStore.prototype.unset = function (name) {
+        delete this.values[name];
+    };
+    VariableStore.prototype.setFlag = function (name) {
+        this.set(name, true);
+    };
+    VariableStore.prototype.clearFlag = function (name) {
+        this.set(name, false);
+    };
+    VariableStore.prototype.isSet = function (name) {
+        return !!this.get(name);
+    };
+    // Add to a counter, which starts from zero, returning the new value
+    VariableStore.prototype.increment = function (name, amount) {
+        this.set(name, this.get(name, 0) + (amount === undefined ? 1 : amount));
+        
+        return this.get(name);
+    };
+    VariableStore.prototype.getState = function () {
+        return JSON.parse(JSON.stringify(this.values));
+    };
+    VariableStore.prototype.setState = function (values) {
+        var name;
+        
+        this.values = {};
+        for (name in values) {
+            if (values.hasOwnProperty(name)) {
+                this.values[name] = values[name];
+            }
+        }
+    };
+    
+    /*
+     * Define the EventBus class, which calls the handlers registered for an event type whenever an event of that type
+     * is emitted. Handlers are passed an event object with a "type" and details of what happened.
+     * For events that announce an action before it happens, such as "beforeItemTaken", a handler can return false to
+     * cancel the action; it is then up to the handler to tell the player why.
+     */
+    EventBus = function () {
+        this.handlers = {};
+    };
+    EventBus.prototype.on = function (type, handler) {
+        if (!this.handlers.hasOwnProperty(type)) {
+            this.handlers[type] = [];
+        }
+        this.handlers[type].push(handler);
+    };
+    EventBus.prototype.off = function (type, handler) {
+        var index = this.handlers.hasOwnProperty(type) ? this.handlers[type].indexOf(handler) : -1;
+        
+        if (index >= 0) {
+            this.handlers[type].splice(index, 1);
+        }
+    };
+    // Call the handlers for the event type with the event, returns false if any of them cancelled it
+    EventBus.prototype.emit = function (type, event, context) {
+        var handlers = this.handlers.hasOwnProperty(type) ? this.handlers[type].slice() : [],
+            cancelled = false,
+            i;
+        
+        event = event || {};
+        event.type = type;
+        for (i = 0; i < handlers.length; i += 1) {
+            if (handlers[i].call(context, event) === false) {
+                cancelled = true;
+            }
+        }
+        
+        return !cancelled;
+    };
+    
+    /*
+     * Define the Scoreboard class, which awards points and achievements as the player makes progress through a story.
+     * Each award is granted at most once, e.g.
+     * {"id": "found-lift", "points": 5, "on": "locationEntered", "location": "corridor-1", "title": "Going Up"}
+     * An award with an "on" event type is granted when a matching game event is emitted (see Game), narrowed down by
+     * any "location", "item", "target" (an item, NPC or exit name), "npc", "topic" and "condition" it has, e.g.
+     * {"id": "opened-lift", "points": 5, "on": "exitUnlocked", "location": "atrium", "target": "Lift"}
+     * Awards without an event type are granted by story code calling Game.award. Awards with a title are listed as
+     * achievements.
+     * Ranks name the score bands, e.g. [{"score": 0, "title": "Intern"}, {"score": 10, "title": "Investigator"}]
+     */
+    Scoreboard = function (scoring) {
+        var awardData,
+            award,
+            property,
+            i;
+        
+        scoring = scoring || {};
+        this.game = undefined;
+        this.awards = [];
+        this.awarded = {};
+        this.maxScore = scoring.maxScore;
+        this.ranks = (scoring.ranks || []).slice().sort(function (a, b) {
+            return a.score - b.score;
+        });
+        this.eventTypes = [];
+        
+        for (i = 0; scoring.awards && i < scoring.awards.length; i += 1) {
+            awardData = scoring.awards[i];
+            award = {};
+            for (property in awardData) {
+                if (awardData.hasOwnProperty(property)) {
+                    award[property] = awardData[property];
+                }
+            }
+            // Awards are saved by id, so give any without one an id that stays the same for the same story
+            award.id = award.id || 'award-' + i;
+            award.points = award.points || 0;
+            this.awards.push(award);
+            if (award.on && this.eventTypes.indexOf(award.on) < 0) {
+                this.eventTypes.push(award.on);
+            }
+        }
+    };
+    // Start listening for the game events that grant awards
+    Scoreboard.prototype.attach = function (game) {
+        var scoreboard = this,
+            i;
+        
+        this.game = game;
+        this.onEvent = function (event) {
+            scoreboard.grantMatching(event);
+        };
+        for (i = 0; i < this.eventTypes.length; i += 1) {
+            game.on(this.eventTypes[i], this.onEvent);
+        }
+    };
+    Scoreboard.prototype.detach = function () {
+        var i;
+        
+        for (i = 0; this.game && i < this.eventTypes.length; i += 1) {
+            this.game.off(this.eventTypes[i], this.onEvent);
+        }
+        this.game = undefined;
+    };
+    Scoreboard.prototype.getAward = function (id) {
+        var i;
+        
+        for (i = 0; i < this.awards.length; i += 1) {
+            if (this.awards[i].id === id) {
+                return this.awards[i];
+            }
+        }
+    };
+    // Does the award apply to the game event?
+    Scoreboard.prototype.matches = function (award, event) {
+        var target = event.target || event.exit,
+            targetMatches;
+        
+        if (award.on !== event.type) {
+            return false;
+        }
+        if (award.target !== undefined) {
+            targetMatches = target && (target instanceof Exit ? target.exitName.toUpperCase() === String(award.target).toUpperCase() : target.id === award.target);
+            if (!targetMatches) {
+                return false;
+            }
+        }
+        
+        return (award.location === undefined || (event.location && event.location.id === award.location)) &&
+            (award.item === undefined || (event.item && event.item.id === award.item)) &&
+            (award.npc === undefined || (event.npc && event.npc.id === award.npc)) &&
+            (award.topic === undefined || (event.npc && event.npc.speakingAbout(award.topic) === true)) &&
+            this.game.evaluateCondition(award.condition);
+    };
+    Scoreboard.prototype.grantMatching = function (event) {
+        var i;
+        
+        for (i = 0; i < this.awards.length; i += 1) {
+            if (!this.awarded[this.awards[i].id] && this.matches(this.awards[i], event)) {
+                this.grant(this.awards[i].id);
+            }
+        }
+    };
+    // Grant an award, telling the player about it, returns false if it had already been granted
+    Scoreboard.prototype.grant = function (id) {
+        var award = this.getAward(id),
+            points;
+        
+        if (!award) {
+            throw 'Error: Unknown award "' + id + '"';
+        }
+        if (this.awarded[id]) {
+            return false;
+        }
+        
+        this.awarded[id] = true;
+        points = award.points === 1 ? '1 point' : award.points + ' points';
+        if (award.title) {
+            this.game.printInformation('Achievement unlocked: "' + award.title + '"' + (award.points ? ' (+' + points + ')' : ''));
+        } else if (award.points) {
+            this.game.printInformation('Your score has gone up by ' + points + '.');
+        }
+        this.game.emit('awardGranted', {award: award, score: this.getScore()});
+        
+        return true;
+    };
+    Scoreboard.prototype.isGranted = function (id) {
+        return this.awarded[id] === true;
+    };
+    Scoreboard.prototype.hasAwards = function () {
+        return this.awards.length > 0;
+    };
+    Scoreboard.prototype.getScore = function () {
+        var score = 0,
+            i;
+        
+        for (i = 0; i < this.awards.length; i += 1) {
+            if (this.awarded[this.awards[i].id]) {
+                score += this.awards[i].points;
+            }
+        }
+        
+        return score;
+    };
+    // The total number of points available, unless the story states otherwise this is the sum of every award
+    Scoreboard.prototype.getMaxScore = function () {
+        var maxScore = 0,
+            i;
+        
+        if (this.maxScore !== undefined) {
+            return this.maxScore;
+        }
+        for (i = 0; i < this.awards.length; i += 1) {
+            maxScore += this.awards[i].points;
+        }
+        
+        return maxScore;
+    };
+    // The title of the highest rank reached with the current score, if any
+    Scoreboard.prototype.getRank = function () {
+        var score = this.getScore(),
+            rank,
+            i;
+        
+        for (i = 0; i < this.ranks.length && this.ranks[i].score <= score; i += 1) {
+            rank = this.ranks[i].title;
+        }
+        
+        return rank;
+    };
+    // The awards with a title that have been granted, in the order they were declared
+    Scoreboard.prototype.getAchievements = function () {
+        var achievements = [],
+            i;
+        
+        for (i = 0; i < this.awards.length; i += 1) {
+            if (this.awards[i].title && this.awarded[this.awards[i].id]) {
+                achievements.push(this.awards[i]);
+            }
+        }
+        
+        return achievements;
+    };
+    // The ids of the granted awards
+    Scoreboard.prototype.getState = function () {
+        var ids = [],
+            id;
+        
+        for (id in this.awarded) {
+            if (this.awarded.hasOwnProperty(id)) {
+                ids.push(id);
+            }
+        }
+        
+        return ids;
+    };
+    Scoreboard.prototype.setState = function (ids) {
+        var i;
+        
+        this.awarded = {};
+        for (i = 0; ids && i < ids.length; i += 1) {
+            if (this.getAward(ids[i])) {
+                this.awarded[ids[i]] = true;
+            }
+        }
+    };
+    
+    /*
+     * Define the Scheduler class, which runs callbacks as the game's turns pass. A turn passes each time the player
+     * successfully carries out a command. Callbacks can run once, "in N turns" (a fuse), or every N turns (a daemon),
+     * and either kind can be cancelled; daemons also stop when their callback returns false.
+     * Entities with an onTickCallback tick every turn, or every tickInterval milliseconds when the wall clock is
+     * running. The wall clock pauses while the page is hidden.
+     * Scheduled callbacks are functions, so they are not included in saved games, and undo doesn't rewind them: a fuse
+     * that has gone off stays gone, and one that is counting down carries on.
+     */
+    Scheduler = function (game) {
+        this.game = game;
+        this.tasks = [];
+        this.nextTaskId = 1;
+        // Entities with an onTickCallback
+        this.tickers = [];
+        this.wallClock = false;
+        this.onVisibilityChange = undefined;
+    };
+    // Run the callback once, after the provided number of turns, returns an id that can be used to cancel it
+    Scheduler.prototype.after = function (turns, callback, context) {
+        return this.addTask(turns, undefined, callback, context);
+    };
+    // Run the callback every interval turns, returns an id that can be used to cancel it
+    Scheduler.prototype.every = function (interval, callback, context) {
+        return this.addTask(interval, interval, callback, context);
+    };
+    Scheduler.prototype.addTask = function (turns, interval, callback, context) {
+        var id = this.nextTaskId;
+        
+        if (!(callback instanceof Function)) {
+            throw 'Error: Scheduled callbacks must be functions';
+        }
+        this.nextTaskId += 1;
+        this.tasks.push({
+            id: id,
+            turn: this.game.turns + Math.max(1, turns || 1),
+            interval: interval,
+            callback: callback,
+            context: context
+        });
+        
+        return id;
+    };
+    Scheduler.prototype.cancel = function (id) {
+        var i;
+        
+        for (i = 0; i < this.tasks.length; i += 1) {
+            if (this.tasks[i].id === id) {
+                this.tasks.splice(i, 1);
+                return true;
+            }
+        }
+        
+        return false;
+    };
+    // Forget every task and ticker, e.g. when a new game starts
+    Scheduler.prototype.clear = function () {
+        this.stopClock();
+        this.tasks = [];
+        this.tickers = [];
+    };
+    // Register an entity whose onTickCallback should be called as time passes
+    Scheduler.prototype.addTicker = function (entity) {
+        var ticker;
+        
+        if (entity && entity.onTickCallback instanceof Function) {
+            ticker = {entity: entity, timerID: 0};
+            this.tickers.push(ticker);
+            if (this.wallClock) {
+                this.startTicker(ticker);
+            }
+        }
+    };
+    Scheduler.prototype.removeTicker = function (ticker) {
+        var index = this.tickers.indexOf(ticker);
+        
+        this.stopTicker(ticker);
+        if (index >= 0) {
+            this.tickers.splice(index, 1);
+        }
+    };
+    // Call an entity's onTickCallback, a callback that returns false stops ticking
+    Scheduler.prototype.tick = function (ticker) {
+        if (ticker.entity.onTickCallback.call(ticker.entity, this.game) === false) {
+            this.removeTicker(ticker);
+        }
+    };
+    // Run everything that is due on the game's current turn
+    Scheduler.prototype.runTurn = function () {
+        var turn = this.game.turns,
+            due = [],
+            task,
+            i;
+        
+        for (i = 0; i < this.tasks.length; i += 1) {
+            if (this.tasks[i].turn <= turn) {
+                due.push(this.tasks[i]);
+            }
+        }
+        for (i = 0; i < due.length; i += 1) {
+            task = due[i];
+            // An earlier callback may have cancelled this one
+            if (this.tasks.indexOf(task) >= 0) {
+                if (task.interval === undefined) {
+                    this.cancel(task.id);
+                    task.callback.call(task.context || this.game, this.game);
+                } else {
+                    task.turn = turn + task.interval;
+                    if (task.callback.call(task.context || this.game, this.game) === false) {
+                        this.cancel(task.id);
+                    }
+                }
             }
-        };
+        }
+        
+        if (!this.wallClock) {
+            due = this.tickers.slice();
+            for (i = 0; i < due.length; i += 1) {
+                this.tick(due[i]);
+            }
+        }
+    };
+    // Tick entities every tickInterval milliseconds instead of every turn, until stopClock is called
+    Scheduler.prototype.startClock = function () {
+        var scheduler = this,
+            i;
+        
+        if (this.wallClock) {
+            return;
+        }
+        this.wallClock = true;
+        if (typeof document !== 'undefined' && document.addEventListener) {
+            this.onVisibilityChange = function () {
+                scheduler.setPaused(document.hidden === true);
+            };
+            document.addEventListener('visibilitychange', this.onVisibilityChange);
+        }
+        if (typeof document === 'undefined' || document.hidden !== true) {
+            for (i = 0; i < this.tickers.length; i += 1) {
+                this.startTicker(this.tickers[i]);
+            }
+        }
+    };
+    Scheduler.prototype.stopClock = function () {
+        if (this.onVisibilityChange) {
+            document.removeEventListener('visibilitychange', this.onVisibilityChange);
+            this.onVisibilityChange = undefined;
+        }
+        this.setPaused(true);
+        this.wallClock = false;
+    };
+    // Stop or restart the wall clock timers, without leaving wall clock mode
+    Scheduler.prototype.setPaused = function (paused) {
+        var i;
+        
+        for (i = 0; i < this.tickers.length; i += 1) {
+            if (paused) {
+                this.stopTicker(this.tickers[i]);
+            } else {
+                this.startTicker(this.tickers[i]);
+            }
+        }
+    };
+    Scheduler.prototype.startTicker = function (ticker) {
+        var scheduler = this;
+        
+        if (!ticker.timerID) {
+            ticker.timerID = setInterval(function () {
+                scheduler.tick(ticker);
+            }, ticker.entity.tickInterval || 1000);
+        }
+    };
+    Scheduler.prototype.stopTicker = function (ticker) {
+        if (ticker.timerID) {
+            clearInterval(ticker.timerID);
+            ticker.timerID = 0;
+        }
+    };
+    
+    /*
+     * Define the Game class, which keeps track of the current game session (e.g. locations, items and so on).
+     * Games emit the following events, see Game.on:
+     * - gameStarted {name}
+     * - beforeLocationEntered, locationEntered {location, previousLocation}
+     * - exitUnlocked {exit, location}, however the exit was unlocked, see Exit.unlock
+     * - beforeItemTaken, itemTaken {item, container}, where the container is the item it was taken from, if any
+     * - beforeItemDropped, itemDropped {item}
+     * - beforeItemPut, itemPut {item, container}, see Item.makeContainer
+     * - containerOpened, containerClosed {container}
+     * - beforeItemsCombined, itemsCombined {items, result, recipe}, see Game.addRecipes
+     * - beforeItemUsed, itemUsed {item, target}, where the target is the entity or exit the item was used on, if any.
+     *   itemUsed is only emitted for a successful use, i.e. when the onUse callback returns true
+     * - beforeNpcAsked, npcAsked {npc, topic}
+     * - beforeNpcGiven, npcGiven {npc, item}, npcGiven is only emitted if the NPC accepts the item
+     * - beforeItemBought, itemBought {npc, item, price}, see NPC.addSales
+     * - commandUnrecognised {commandText}
+     * - awardGranted {award, score}, see Scoreboard
+     * - turnEnded {turn}, after a command has taken a turn, see Scheduler
+     * - conversationStarted, conversationEnded {npc}, see Dialogue
+     * - npcMoved {npc, from, to}, see NPC.setMovement
+     * The "before" events can be cancelled by a handler returning false.
+     */
+    Game = function (console) {
+        this.name = undefined;
+        // List of all available commands
+        this.availableCommands = [];
+        // List of commands defined by the story
+        this.storyCommands = [];
+        // The UI
+        this.console = console;
+        // Available locations
+        this.locations = {};
+        // The in-game location that the user is currently exploring
+        this.currentLocation = undefined;
+        // Available NPCs
+        this.npcs = undefined;
+        // Items available in-game, usually by finding them in locations or given by NPCs
+        this.availableItems = undefined;
+        // The collection of items picked up by the player when exploring the game
+        this.inventory = undefined;
+        // Turns what the player types into commands
+        this.inputNormaliser = new InputNormaliser(this);
+        // The command currently being executed, as normalised text
+        this.currentCommandText = undefined;
+        // A question the player has been asked about their last command, e.g. which of two keys they meant
+        this.pendingQuestion = undefined;
+        // The dialogue the player is part of, while it lasts their input is taken as a choice of reply
+        this.conversation = undefined;
+        // How locations are described when the player returns to them, "verbose" or "brief"
+        this.descriptionMode = 'verbose';
+        // Flags, counters and strings set by the story as the player makes progress
+        this.variables = new VariableStore();
+        // Handlers for the events emitted as the game is played
+        this.events = new EventBus();
+        // Points and achievements the player has been awarded
+        this.scoreboard = new Scoreboard();
+        // The last entity the player referred to, and the last NPC, used to make sense of "it", "him" and so on
+        this.lastReferenced = undefined;
+        this.lastReferencedNpc = undefined;
+        // Where saved games are kept, anything implementing getItem/setItem (defaults to localStorage when available)
+        this.storage = (typeof localStorage !== 'undefined') ? localStorage : undefined;
+        // The money the player trades with, {variable, singular, plural}, see NPC.addSales
+        this.currency = undefined;
+        // The ways items can be combined into new ones, see addRecipes
+        this.recipes = [];
+        // The most the player can carry, {weight, bulk}, either of which can be left out to have no limit
+        this.capacity = {};
+        // The number of turns the player has taken
+        this.turns = 0;
+        // Runs the callbacks scheduled by locations, items and NPCs
+        this.scheduler = new Scheduler(this);
+        // The number of errors printed so far, used to tell whether a command succeeded
+        this.errorCount = 0;
+        // Snapshots of the state before each turn, {commandText, state}, for undo and redo
+        this.undoHistory = [];
+        this.redoHistory = [];
+        // The number of turns that can be undone
+        this.undoLimit = 20;
+    };
+    // Incremented whenever the structure of the state returned by getState changes
+    Game.STATE_VERSION = 1;
+    // Register a handler for game events of the provided type, it is called with the game as "this"
+    Game.prototype.on = function (type, handler) {
+        this.events.on(type, handler);
+    };
+    Game.prototype.off = function (type, handler) {
+        this.events.off(type, handler);
+    };
+    // Emit a game event, returns false if a handler cancelled it
+    Game.prototype.emit = function (type, event) {
+        return this.events.emit(type, event, this);
+    };
+    // Grant one of the story's awards, see Scoreboard
+    Game.prototype.award = function (id) {
+        return this.scoreboard.grant(id);
     };
     Game.prototype.clearCommands = function () {
         this.availableCommands = [];
@@ -313,16 +2113,536 @@ var AdventureMachine = (function ($) {
     Game.prototype.addCommand = function (command) {
         this.availableCommands.push(command);
     };
-    Game.prototype.parseCommand = function (commandText, commandParts) {
+    // Handle input from the player, which may contain several commands. Each command is normalised just before it is
+    // executed, so that a pronoun can refer to something mentioned by an earlier command.
+    Game.prototype.parseCommand = function (commandText) {
+        commandText = commandText || '';
+        if (this.conversation) {
+            this.chooseReply(commandText);
+            return;
+        }
+        if (this.pendingQuestion && this.answerQuestion(commandText)) {
+            return;
+        }
+        this.runCommands(this.inputNormaliser.split(commandText));
+    };
+    // Run a list of commands in order, stopping if one of them asks the player a question or starts a conversation
+    Game.prototype.runCommands = function (commands) {
+        var normalised,
+            i;
+        
+        for (i = 0; i < commands.length; i += 1) {
+            normalised = this.inputNormaliser.normalise(commands[i]);
+            if (normalised) {
+                this.executeCommand(normalised, BaseConsole.prototype.parse(normalised));
+                if (this.pendingQuestion) {
+                    this.pendingQuestion.remainingCommands = commands.slice(i + 1);
+                    return;
+                }
+                if (this.conversation) {
+                    return;
+                }
+            }
+        }
+    };
+    // Pass the input to the one command that handles it, or tell the player it wasn't understood
+    Game.prototype.executeCommand = function (commandText, commandParts) {
+        var command = this.findCommand(commandText),
+            errorCount,
+            succeeded,
+            snapshot;
+        
+        if (command) {
+            errorCount = this.errorCount;
+            this.currentCommandText = commandText;
+            if (command.takesTurn) {
+                snapshot = this.takeSnapshot(commandText);
+            }
+            succeeded = command.execute(commandText, commandParts);
+            if (succeeded !== true && succeeded !== false) {
+                succeeded = this.errorCount === errorCount;
+            }
+            // Only commands that changed something can be undone, so that e.g. looking at the inventory doesn't have to be
+            // undone too, but that includes commands that failed part way. Commands that fail or need the player to say
+            // what they meant don't take a turn.
+            if (command.takesTurn && JSON.stringify(this.getState()) !== JSON.stringify(snapshot.state)) {
+                this.recordSnapshot(snapshot);
+            }
+            if (command.takesTurn && succeeded && !this.pendingQuestion) {
+                this.endTurn();
+            }
+        } else {
+            this.printUnrecognisedCommand(commandText);
+            this.emit('commandUnrecognised', {commandText: commandText});
+        }
+    };
+    // Capture the state of the game before a command, as a copy that later changes won't affect
+    Game.prototype.takeSnapshot = function (commandText) {
+        return {
+            commandText: commandText,
+            state: JSON.parse(JSON.stringify(this.getState()))
+        };
+    };
+    // Keep the snapshot taken before a turn so it can be undone, forgetting the oldest beyond the limit and anything that could be redone
+    Game.prototype.recordSnapshot = function (snapshot) {
+        this.undoHistory.push(snapshot);
+        if (this.undoHistory.length > this.undoLimit) {
+            this.undoHistory.shift();
+        }
+        this.redoHistory = [];
+    };
+    Game.prototype.clearHistory = function () {
+        this.undoHistory = [];
+        this.redoHistory = [];
+    };
+    // Return to the state before the last turn, returns the command that was undone, or undefined if there is nothing to undo.
+    // Like saved games, this doesn't rewind the callbacks scheduled with the Scheduler.
+    Game.prototype.undo = function () {
+        var snapshot = this.undoHistory.pop();
+        
+        if (!snapshot) {
+            return undefined;
+        }
+        this.redoHistory.push(this.takeSnapshot(snapshot.commandText));
+        this.setState(snapshot.state);
+        
+        return snapshot.commandText;
+    };
+    // Replay the last turn that was undone, returns its command, or undefined if there is nothing to redo
+    Game.prototype.redo = function () {
+        var snapshot = this.redoHistory.pop();
+        
+        if (!snapshot) {
+            return undefined;
+        }
+        this.undoHistory.push(this.takeSnapshot(snapshot.commandText));
+        this.setState(snapshot.state);
+        
+        return snapshot.commandText;
+    };
+    // Advance to the next turn, running any scheduled callbacks that are due
+    Game.prototype.endTurn = function () {
+        this.turns += 1;
+        this.scheduler.runTurn();
+        this.emit('turnEnded', {turn: this.turns});
+    };
+    // Find the command that handles the input. Where several match, e.g. "talk" and "talk to", the longest name wins.
+    Game.prototype.findCommand = function (commandText) {
         var commands = this.availableCommands,
-            command,
+            found,
             i;
         
-        // Allow all Command instances a chance to handle the input
         for (i = 0; i < commands.length; i += 1) {
-            command = commands[i];
-            if (command instanceof Command) {
-                command.execute(commandText, commandParts);
+            if (commands[i] instanceof Command && commands[i].matches(commandText) && (!found || commands[i].getShortName().length > found.getShortName().length)) {
+                found = commands[i];
+            }
+        }
+        
+        return found;
+    };
+    Game.prototype.printUnrecognisedCommand = function (commandText) {
+        var suggestions = this.suggestCommands(commandText),
+            message = 'I don\'t understand "' + commandText + '".';
+        
+        if (suggestions.length > 0) {
+            message += ' Did you mean <span class="command">' + suggestions.join('</span> or <span class="command">') + '</span>?';
+        } else {
+            message += ' Type "<span class="command">help</span>" for a list of commands.';
+        }
+        this.printError(message);
+    };
+    /*
+     * Complete the command the player is typing, returning the possible full commands. Command names are completed
+     * first, then the names the player can refer to in the slot of the command they are typing (see Command.slots),
+     * e.g. "use card on li" can become "use card on Lift Control Panel". The slot is the one after the last of the
+     * command's prepositions typed so far. Names can be listed by typing a space after the command or preposition.
+     */
+    Game.prototype.getCompletions = function (commandText) {
+        var text = commandText.replace(/^\s+/, ''),
+            command = this.findCommand(text),
+            completions = [],
+            slot,
+            start,
+            names,
+            words,
+            prefix,
+            fragment,
+            name,
+            i,
+            j;
+        
+        if (!command || text.length <= command.getShortName().length) {
+            for (i = 0; i < this.availableCommands.length; i += 1) {
+                name = this.availableCommands[i].getShortName();
+                if (name.toLowerCase().startsWith(text.toLowerCase()) && name.length > text.length && completions.indexOf(name) < 0) {
+                    completions.push(name);
+                }
+            }
+            if (completions.length > 0 || !command) {
+                return completions;
+            }
+        }
+        
+        // Find the slot being typed, which starts after the command name or the last preposition
+        words = text.split(' ');
+        start = command.getShortName().split(' ').length;
+        slot = command.slots && command.slots[0];
+        for (i = start; slot && i < words.length - 1; i += 1) {
+            for (j = 1; j < command.slots.length; j += 1) {
+                if (command.slots[j].preposition && command.slots[j].preposition === words[i].toLowerCase()) {
+                    slot = command.slots[j];
+                    start = i + 1;
+                }
+            }
+        }
+        
+        // Complete the longest run of words at the end of the input that starts a name
+        names = slot ? this.getCompletionNames(slot.kinds) : [];
+        for (i = start; i < words.length && completions.length === 0; i += 1) {
+            prefix = words.slice(0, i).join(' ');
+            fragment = words.slice(i).join(' ').toLowerCase();
+            for (j = 0; j < names.length; j += 1) {
+                if (names[j].toLowerCase().startsWith(fragment) && names[j].toLowerCase() !== fragment) {
+                    completions.push(prefix + ' ' + names[j]);
+                }
+            }
+        }
+        
+        return completions;
+    };
+    /*
+     * The names of what the player can refer to right now, of the kinds provided: "items" they can reach, the ones they
+     * have "carried", the ones "nearby" that they aren't carrying, "npcs", the NPCs who have "departed" from here and
+     * could be followed, and "exits"
+     */
+    Game.prototype.getCompletionNames = function (kinds) {
+        var player = this.inventory,
+            inventories = this.getReachableInventories().filter(function (inventory) {
+                return kinds.indexOf('items') >= 0 || (kinds.indexOf('carried') >= 0 && inventory === player) || (kinds.indexOf('nearby') >= 0 && inventory !== player);
+            }).concat(kinds.indexOf('npcs') >= 0 ? [this.currentLocation.npcs] : []),
+            exits = (this.isLit() && kinds.indexOf('exits') >= 0) ? this.currentLocation.getVisibleExits() : [],
+            names = [],
+            npc,
+            ids,
+            i,
+            j;
+        
+        for (i = 0; i < inventories.length; i += 1) {
+            ids = inventories[i].getItemIds();
+            for (j = 0; j < ids.length; j += 1) {
+                names.push(inventories[i].getItem(ids[j]).getTitle());
+            }
+        }
+        ids = (kinds.indexOf('departed') >= 0) ? this.npcs.getItemIds() : [];
+        for (i = 0; i < ids.length; i += 1) {
+            npc = this.npcs.getItem(ids[i]);
+            if (npc.lastDeparture && npc.lastDeparture.from === this.currentLocation.id && !this.currentLocation.npcs.getItem(npc.id)) {
+                names.push(npc.getTitle());
+            }
+        }
+        for (i = 0; i < exits.length; i += 1) {
+            names.push(exits[i].exitName);
+        }
+        
+        return names.filter(function (name, index) {
+            return name && names.indexOf(name) === index;
+        });
+    };
+    // Suggest the names of commands that look like the first word of the input, e.g. a typo or a partial name
+    Game.prototype.suggestCommands = function (commandText) {
+        var word = commandText.split(' ')[0].toLowerCase(),
+            suggestions = [],
+            name,
+            i;
+        
+        for (i = 0; word.length > 0 && i < this.availableCommands.length; i += 1) {
+            name = this.availableCommands[i].getShortName().toLowerCase();
+            if (suggestions.indexOf(name) < 0 && (name.startsWith(word) || word.startsWith(name.split(' ')[0]) || editDistance(word, name.split(' ')[0]) <= 1)) {
+                suggestions.push(name);
+            }
+        }
+        
+        return suggestions;
+    };
+    /*
+     * Find the entity the player is referring to in the provided inventories, e.g. [this.inventory, this.currentLocation.items].
+     * Returns undefined when nothing matches. When several entities match, the player is asked which one they mean and
+     * null is returned; the current command is then run again once they answer, so the caller just needs to stop.
+     */
+    Game.prototype.findEntity = function (name, inventories) {
+        var candidates = [],
+            bestScore = 0,
+            matches,
+            i,
+            j;
+        
+        // Only the best matches across all of the inventories are candidates
+        for (i = 0; i < inventories.length; i += 1) {
+            matches = inventories[i].matchItemsByName(name);
+            for (j = 0; j < matches.length; j += 1) {
+                if (matches[j].score > bestScore) {
+                    bestScore = matches[j].score;
+                    candidates = [];
+                }
+                if (matches[j].score === bestScore && candidates.indexOf(matches[j].item) < 0) {
+                    candidates.push(matches[j].item);
+                }
+            }
+        }
+        
+        if (candidates.length > 1) {
+            this.askWhich(name, candidates);
+            return null;
+        }
+        
+        return candidates[0];
+    };
+    // Ask the player which of several entities they meant by name, see findEntity
+    Game.prototype.askWhich = function (name, candidates) {
+        var message = 'Which do you mean?<br/>',
+            i;
+        
+        for (i = 0; i < candidates.length; i += 1) {
+            message += (i + 1) + '. <span class="location">' + candidates[i].getTitle() + '</span> (' + this.getWhereabouts(candidates[i]) + ')<br/>';
+        }
+        this.pendingQuestion = {
+            commandText: this.currentCommandText,
+            name: name,
+            candidates: candidates,
+            remainingCommands: []
+        };
+        this.printInformation(message);
+    };
+    // Where the entity is in relation to the player, to help tell apart entities with the same name
+    Game.prototype.getWhereabouts = function (entity) {
+        var container;
+        
+        if (this.inventory.getItem(entity.id) === entity) {
+            return 'carried';
+        }
+        container = this.findContainerOf(entity);
+        
+        return container ? 'in ' + container.getTitle() : 'here';
+    };
+    // Try to answer the pending question with the player's input: the number of a candidate, its name or where it is. Returns false if the input doesn't answer it, in which case it is treated as a new command.
+    Game.prototype.answerQuestion = function (answer) {
+        var question = this.pendingQuestion,
+            chosen = [],
+            commandText,
+            i;
+        
+        this.pendingQuestion = undefined;
+        answer = answer.trim().toLowerCase();
+        
+        if (/^[0-9]+$/.test(answer)) {
+            chosen = question.candidates.slice(parseInt(answer, 10) - 1, parseInt(answer, 10));
+        } else if (answer.length > 0) {
+            for (i = 0; i < question.candidates.length; i += 1) {
+                if (question.candidates[i].matchName(answer) > 0 || this.getWhereabouts(question.candidates[i]) === answer) {
+                    chosen.push(question.candidates[i]);
+                }
+            }
+        }
+        if (chosen.length !== 1) {
+            return false;
+        }
+        
+        // Run the command again, referring to the chosen entity by id so that it can't be ambiguous
+        commandText = this.replaceName(question.commandText, question.name, '#' + chosen[0].id);
+        this.executeCommand(commandText, BaseConsole.prototype.parse(commandText));
+        if (this.pendingQuestion) {
+            this.pendingQuestion.remainingCommands = question.remainingCommands;
+        } else {
+            this.runCommands(question.remainingCommands);
+        }
+        
+        return true;
+    };
+    // Replace a name in the command with other text, e.g. an id. The name has to be whole words, and where it appears
+    // more than once the command's slot that is just that name is replaced, e.g. the second "key" in "use key card on key".
+    Game.prototype.replaceName = function (commandText, name, replacement) {
+        var command = this.findCommand(commandText),
+            slots = command ? command.splitSlots(commandText) : [],
+            words = commandText.split(' '),
+            length = name.trim().split(/\s+/).length,
+            first,
+            found,
+            i,
+            j;
+        
+        for (i = words.length - length; i >= 0; i -= 1) {
+            if (words.slice(i, i + length).join(' ').toLowerCase() === name.trim().toLowerCase()) {
+                first = i;
+                for (j = 0; j < slots.length; j += 1) {
+                    if (slots[j].start === i && slots[j].end === i + length) {
+                        found = i;
+                    }
+                }
+            }
+        }
+        found = (found === undefined) ? first : found;
+        if (found === undefined) {
+            return commandText;
+        }
+        words.splice(found, length, replacement);
+        
+        return words.join(' ');
+    };
+    // Start the NPC's dialogue, returns false if they don't have one
+    Game.prototype.startConversation = function (npc) {
+        if (!npc.dialogue) {
+            return false;
+        }
+        
+        this.conversation = {npc: npc, dialogue: npc.dialogue, choices: []};
+        this.emit('conversationStarted', {npc: npc});
+        this.showDialogueNode(npc.dialogue.start);
+        
+        return true;
+    };
+    // Have the NPC say their line from a node of the current dialogue, then offer the player the choices that follow
+    Game.prototype.showDialogueNode = function (nodeId) {
+        var conversation = this.conversation,
+            node = conversation.dialogue.getNode(nodeId);
+        
+        if (!node) {
+            this.printError('Error: "' + nodeId + '" is not a node in the dialogue for ' + conversation.npc.getTitle());
+            this.endConversation();
+            return;
+        }
+        
+        if (node.text !== undefined) {
+            conversation.npc.reply(node.text);
+        }
+        this.applyEffects(node.effects, conversation.npc);
+        if (this.conversation !== conversation) {
+            // An effect ended the conversation
+            return;
+        }
+        if (node.end === true) {
+            this.endConversation();
+        } else if (node.returnTo !== undefined && !node.choices) {
+            this.offerChoices(conversation.dialogue.getNode(node.returnTo));
+        } else {
+            this.offerChoices(node);
+        }
+    };
+    Game.prototype.offerChoices = function (node) {
+        var choices = this.conversation.dialogue.getChoices(node, this),
+            message = '',
+            i;
+        
+        if (choices.length === 0) {
+            this.endConversation();
+            return;
+        }
+        
+        this.conversation.choices = choices;
+        for (i = 0; i < choices.length; i += 1) {
+            message += (i + 1) + '. ' + this.conversation.npc.resolveText(choices[i].text) + '<br/>';
+        }
+        this.printInformation(message);
+    };
+    // Take the player's input as a choice of reply in the current conversation
+    Game.prototype.chooseReply = function (answer) {
+        var conversation = this.conversation,
+            choice;
+        
+        answer = answer.trim().toLowerCase();
+        if (/^[0-9]+$/.test(answer)) {
+            choice = conversation.choices[parseInt(answer, 10) - 1];
+        } else if (answer === 'bye' || answer === 'goodbye' || answer === 'leave') {
+            this.endConversation();
+            return;
+        }
+        if (!choice) {
+            this.printError('Type the number of your reply, or "<span class="command">bye</span>" to end the conversation.');
+            return;
+        }
+        
+        this.printMessage('You: ' + conversation.npc.resolveText(choice.text));
+        this.applyEffects(choice.effects, conversation.npc);
+        if (this.conversation !== conversation) {
+            return;
+        }
+        if (choice.next !== undefined && choice.end !== true) {
+            this.showDialogueNode(choice.next);
+        } else {
+            this.endConversation();
+        }
+    };
+    Game.prototype.endConversation = function () {
+        var conversation = this.conversation;
+        
+        if (conversation) {
+            this.conversation = undefined;
+            this.printInformation('You finish talking to ' + conversation.npc.getTitle() + '.');
+            this.emit('conversationEnded', {npc: conversation.npc});
+        }
+    };
+    /*
+     * Carry out a list of effects, e.g. from a dialogue. Each effect is either a function called with the game (and
+     * the entity the effects belong to as "this"), or one of:
+     * {"setFlag": "name"}, {"clearFlag": "name"}, {"set": "name", "value": "..."}, {"increment": "name", "amount": 1},
+     * {"giveItem": "id"} to add an item to the player's inventory (taking it from the NPC the effects belong to, if
+     * they have it), {"award": "id"} (see Scoreboard), or {"end": true}
+     * to end the current conversation.
+     */
+    Game.prototype.applyEffects = function (effects, entity) {
+        var effect,
+            item,
+            i;
+        
+        for (i = 0; effects && i < effects.length; i += 1) {
+            effect = effects[i];
+            if (effect instanceof Function) {
+                effect.call(entity || this, this);
+            } else if (effect.setFlag !== undefined) {
+                this.variables.setFlag(effect.setFlag);
+            } else if (effect.clearFlag !== undefined) {
+                this.variables.clearFlag(effect.clearFlag);
+            } else if (effect.set !== undefined) {
+                this.variables.set(effect.set, effect.value);
+            } else if (effect.increment !== undefined) {
+                this.variables.increment(effect.increment, effect.amount);
+            } else if (effect.giveItem !== undefined && entity instanceof NPC && entity.inventory.getItem(effect.giveItem)) {
+                entity.handOver(effect.giveItem);
+            } else if (effect.giveItem !== undefined) {
+                item = this.availableItems.getItem(effect.giveItem);
+                if (!item) {
+                    this.printError('Unable to add item "' + effect.giveItem + '" to inventory; Item does not exist.');
+                } else {
+                    this.receiveItem(item);
+                }
+            } else if (effect.award !== undefined) {
+                this.award(effect.award);
+            } else if (effect.end === true) {
+                this.endConversation();
+            } else {
+                this.printError('Error: Unknown effect ' + JSON.stringify(effect));
+            }
+        }
+    };
+    /*
+     * Check a condition, which can be a condition expression (see compileCondition), a function called with the game,
+     * or undefined, which always passes
+     */
+    Game.prototype.evaluateCondition = function (condition) {
+        if (condition === undefined || condition === null) {
+            return true;
+        }
+        if (condition instanceof Function) {
+            return condition.call(this, this) === true;
+        }
+        
+        return compileCondition(condition)(this);
+    };
+    // Remember the entity the player referred to, so that "it" (or "him"/"her" for NPCs) can be used for it next
+    Game.prototype.setLastReferenced = function (entity) {
+        if (entity) {
+            this.lastReferenced = entity;
+            if (entity instanceof NPC) {
+                this.lastReferencedNpc = entity;
             }
         }
     };
@@ -336,6 +2656,7 @@ var AdventureMachine = (function ($) {
         this.console.display(message, 'information');
     };
     Game.prototype.printError = function (message) {
+        this.errorCount += 1;
         this.print(message, 'error');
     };
     Game.prototype.printGameTitle = function (message) {
@@ -358,46 +2679,99 @@ var AdventureMachine = (function ($) {
             this.locations[location.id] = location;
         }
     };
-    Game.prototype.goTo = function (locationId) {
+    // Move the player to a location, returns false if the move was cancelled by a "beforeLocationEntered" handler
+    Game.prototype.goTo = function (locationId) {
+        var previousLocation = this.currentLocation,
+            location = this.locations[locationId];
+        
+        if (location) {
+            if (!this.emit('beforeLocationEntered', {location: location, previousLocation: previousLocation})) {
+                return false;
+            }
+            if (previousLocation) {
+                previousLocation.onLeave(this);
+            }
+            this.setCurrentLocation(location);
+            this.currentLocation.incrementVisits();
+            this.displayCurrentLocationInfo(this.currentLocation.visits === 1);
+            this.currentLocation.onEnter(this);
+            this.moveFollowers(previousLocation);
+            this.emit('locationEntered', {location: location, previousLocation: previousLocation});
+            return true;
+        } else {
+            this.printError('Error: "' + locationId + '" is not a valid location!');
+            return false;
+        }
+    };
+    // Take the player through an exit from the current location, unless it is blocked or the move is stopped by a hook
+    Game.prototype.goThrough = function (exit) {
+        var blockedMessage = exit.getBlockedMessage(this);
+        
+        if (blockedMessage) {
+            this.printError(blockedMessage);
+            return false;
+        }
+        if (!exit.onBeforeExit(this)) {
+            return false;
+        }
+        
+        if (!this.goTo(exit.destinationLocationId)) {
+            return false;
+        }
+        exit.onExit(this);
+        
+        return true;
+    };
+    // Make the provided location the current one, loading the commands that apply there
+    Game.prototype.setCurrentLocation = function (location) {
         var i;
         
-        if (this.locations[locationId]) {
-            
-            this.currentLocation = this.locations[locationId];
-            this.currentLocation.incrementVisits();
-            // TODO: Merge these commands with the ones provided by loaded NPCs
-            this.availableCommands = this.getCommands().concat(this.storyCommands).concat(this.currentLocation.getCommands());
-            for (i = 0; i < this.availableCommands.length; i += 1) {
-                this.availableCommands[i].game = this;
-            }
-            
-            this.displayCurrentLocationInfo();
-            
-            this.centralTimer.clear();
-            if (this.currentLocation.onTickCallback) {
-                this.centralTimer.add(this.currentLocation.onTickCallback);
-            }
-        } else {
-            this.printError('Error: "' + locationId + '" is not a valid location!');
+        this.currentLocation = location;
+        // TODO: Merge these commands with the ones provided by loaded NPCs
+        this.availableCommands = this.getCommands().concat(this.storyCommands).concat(this.currentLocation.getCommands());
+        for (i = 0; i < this.availableCommands.length; i += 1) {
+            this.availableCommands[i].game = this;
         }
     };
-    Game.prototype.displayCurrentLocationInfo = function () {
+    /*
+     * Describe the current location. The full description is shown when the player first arrives or looks around, and
+     * a return visit uses the location's return description. If the location doesn't have one, verbose mode falls back
+     * to the full description while brief mode leaves the description out.
+     */
+    Game.prototype.displayCurrentLocationInfo = function (fullDescription) {
         var i,
+            exits,
+            description,
             output,
             item,
             itemCode,
-            npc,
-            npcCode,
             found;
         
         this.printSectionTitle(this.currentLocation.getTitle());
-        this.printDescription(this.currentLocation.getDescription());
+        if (!this.isLit()) {
+            // Without a light, the player can't see anything of the location, but can still hear any NPCs
+            this.printDescription(this.currentLocation.getDarkDescription());
+            this.displayNpcs();
+            return;
+        }
+        if (fullDescription !== false) {
+            description = this.currentLocation.getDescription();
+        } else {
+            description = this.currentLocation.getReturnDescription();
+            if (!description && this.descriptionMode === 'verbose') {
+                description = this.currentLocation.getDescription();
+            }
+        }
+        if (description) {
+            this.printDescription(description);
+        }
         
         output = 'Available exits:<br/>';
         found = false;
-        for (i = 0; i < this.currentLocation.exits.length; i += 1) {
+        exits = this.currentLocation.getVisibleExits();
+        for (i = 0; i < exits.length; i += 1) {
             found = true;
-            output += '<span class="location">' + this.currentLocation.exits[i].exitName + '</span><br/>';
+            output += this.linkEntity('exit', exits[i].exitName, exits[i].exitName) + (exits[i].locked ? ' (locked)' : '') + '<br/>';
         }
         if (found === true) {
             this.printInformation(output);
@@ -411,7 +2785,7 @@ var AdventureMachine = (function ($) {
                     item = this.currentLocation.items.getItem(itemCode);
                     if (item) {
                         found = true;
-                        output += '<span class="location">' + item.title + '</span><br/>';
+                        output += this.linkEntity('item', item.id, item.getTitle()) + this.describeContents(item) + '<br/>';
                     }
                 }
             }
@@ -420,6 +2794,22 @@ var AdventureMachine = (function ($) {
             }
         }
         
+        this.displayNpcs();
+    };
+    /*
+     * Markup for the name of an exit, item, NPC or command in output, which consoles can make interactive (see
+     * Console.onEntityClicked). The type is one of exit, item (in the location or a container), carried, npc or command.
+     */
+    Game.prototype.linkEntity = function (type, id, title, className) {
+        return '<span class="' + (className || 'location') + '" data-entity-type="' + type + '" data-entity-id="' + id + '">' + title + '</span>';
+    };
+    // List the NPCs in the current location
+    Game.prototype.displayNpcs = function () {
+        var output,
+            npc,
+            npcCode,
+            found;
+        
         if (this.currentLocation.npcs) {
             output = 'NPCs:<br/>';
             found = false;
@@ -428,7 +2818,7 @@ var AdventureMachine = (function ($) {
                     npc = this.currentLocation.npcs.getItem(npcCode);
                     if (npc) {
                         found = true;
-                        output += '<span class="location">' + npc.title + '</span><br/>';
+                        output += this.linkEntity('npc', npc.id, npc.getTitle()) + '<br/>';
                     }
                 }
             }
@@ -438,22 +2828,47 @@ var AdventureMachine = (function ($) {
         }
         
     };
-    // Start a new game
+    // Start a new game, from either a Story or the equivalent gameData
     Game.prototype.newGame = function (gameData) {
         var i,
             location,
             itemCodeArray;
         
+        if (gameData instanceof Story) {
+            gameData = gameData.getGameData();
+        }
+        
         this.clearCommands();
         
         this.name = gameData.name;
+        this.inputNormaliser = new InputNormaliser(this, gameData.synonyms);
+        this.lastReferenced = undefined;
+        this.lastReferencedNpc = undefined;
+        this.pendingQuestion = undefined;
+        this.conversation = undefined;
+        this.variables = new VariableStore(gameData.variables);
+        this.scoreboard.detach();
+        this.scoreboard = new Scoreboard(gameData.scoring);
+        this.scoreboard.attach(this);
+        this.turns = 0;
+        this.clearHistory();
+        this.undoLimit = gameData.undoLimit !== undefined ? gameData.undoLimit : 20;
+        this.scheduler.clear();
+        this.scheduler.every(1, this.moveNpcs, this);
+        this.scheduler.every(1, this.drainBatteries, this);
         this.npcs = gameData.npcs || [];
         this.storyCommands = gameData.commands || [];
         
         this.availableItems = new Inventory(this, gameData.items);
         this.inventory = new Inventory(this);
-        this.addItemsToInventory(gameData.inventory);
+        this.addItemsToInventory(gameData.inventory, true);
         this.npcs = new Inventory(this, gameData.npcs);
+        this.addItemsToNpcs();
+        this.addItemsToContainers();
+        this.currency = gameData.currency;
+        this.recipes = [];
+        this.addRecipes(gameData.recipes);
+        this.capacity = gameData.capacity || {};
         
         gameData.locations = gameData.locations || [];
         if (gameData.locations.length === 0) {
@@ -466,31 +2881,151 @@ var AdventureMachine = (function ($) {
             this.addItemsToLocation(location, itemCodeArray);
             itemCodeArray = location.npcCodes;
             this.addNpcsToLocation(location, itemCodeArray);
+            location.game = this;
             this.locations[location.id] = location;
         }
+        this.addTickers();
+        if (gameData.wallClock === true) {
+            this.scheduler.startClock();
+        }
         
         this.printGameTitle(gameData.name);
         this.printInformation('Type "<span class="help">help</span>" for a list of commands');
+        this.emit('gameStarted', {name: this.name});
         this.goTo(gameData.startLocation);
     };
-    Game.prototype.addItemToInventory = function (itemCode) {
+    // The location an exit leads from, if any
+    Game.prototype.getExitLocation = function (exit) {
+        var locationId;
+        
+        for (locationId in this.locations) {
+            if (this.locations.hasOwnProperty(locationId) && this.locations[locationId].exits.indexOf(exit) >= 0) {
+                return this.locations[locationId];
+            }
+        }
+    };
+    // The location an NPC is currently in, if any
+    Game.prototype.getNpcLocation = function (npc) {
+        var locationId;
+        
+        for (locationId in this.locations) {
+            if (this.locations.hasOwnProperty(locationId) && this.locations[locationId].npcs.getItem(npc.id) === npc) {
+                return this.locations[locationId];
+            }
+        }
+    };
+    /*
+     * Move an NPC to another location, telling the player if they see the NPC leave or arrive. Unless the NPC has
+     * its own messages (see NPC.setMovement), the departure names the exit they take, and the arrival where they came
+     * from, or that they followed the player if following is set.
+     */
+    Game.prototype.moveNpc = function (npc, locationId, following) {
+        var from = this.getNpcLocation(npc),
+            to = this.locations[locationId],
+            movement = npc.movement || {},
+            exit;
+        
+        if (!to) {
+            this.printError('Error: "' + locationId + '" is not a valid location!');
+            return;
+        }
+        if (from === to) {
+            return;
+        }
+        
+        if (from) {
+            from.npcs.removeItem(npc.id);
+            exit = from.getExitTo(to.id);
+            if (from === this.currentLocation) {
+                this.printMessage(movement.departureMessage || npc.getTitle() + ' leaves' + (exit ? ', heading ' + exit.getTitle() : '') + '.');
+            }
+            npc.lastDeparture = {from: from.id, to: to.id};
+        }
+        to.addNpc(npc);
+        if (to === this.currentLocation) {
+            if (following) {
+                this.printMessage(movement.arrivalMessage || npc.getTitle() + ' follows you.');
+            } else {
+                this.printMessage(movement.arrivalMessage || npc.getTitle() + ' arrives' + (from ? ' from ' + from.getTitle() : '') + '.');
+            }
+        }
+        this.emit('npcMoved', {npc: npc, from: from, to: to});
+    };
+    // Move the NPCs that walk routes or wander, called by the scheduler every turn
+    Game.prototype.moveNpcs = function () {
+        var ids = this.npcs.getItemIds(),
+            npc,
+            destination,
+            i;
+        
+        for (i = 0; i < ids.length; i += 1) {
+            npc = this.npcs.getItem(ids[i]);
+            if (npc.movement && npc.movement.mode !== 'follow' && this.turns % (npc.movement.every || 1) === 0 && this.evaluateCondition(npc.movement.condition)) {
+                destination = npc.getNextLocationId(this.getNpcLocation(npc));
+                if (destination !== undefined) {
+                    this.moveNpc(npc, destination);
+                }
+            }
+        }
+    };
+    // Bring the NPCs that follow the player along from the location they just left
+    Game.prototype.moveFollowers = function (previousLocation) {
+        var ids,
+            npc,
+            i;
+        
+        if (!previousLocation) {
+            return;
+        }
+        ids = previousLocation.npcs.getItemIds();
+        for (i = 0; i < ids.length; i += 1) {
+            npc = previousLocation.npcs.getItem(ids[i]);
+            if (npc.movement && npc.movement.mode === 'follow' && this.evaluateCondition(npc.movement.condition)) {
+                this.moveNpc(npc, this.currentLocation.id, true);
+            }
+        }
+    };
+    // Register the locations, items and NPCs that have an onTickCallback with the scheduler
+    Game.prototype.addTickers = function () {
+        var locationId,
+            ids,
+            i;
+        
+        for (locationId in this.locations) {
+            if (this.locations.hasOwnProperty(locationId)) {
+                this.scheduler.addTicker(this.locations[locationId]);
+            }
+        }
+        ids = this.availableItems.getItemIds();
+        for (i = 0; i < ids.length; i += 1) {
+            this.scheduler.addTicker(this.availableItems.getItem(ids[i]));
+        }
+        ids = this.npcs.getItemIds();
+        for (i = 0; i < ids.length; i += 1) {
+            this.scheduler.addTicker(this.npcs.getItem(ids[i]));
+        }
+    };
+    // Add an item to the player's inventory, announcing it to the player unless quiet is set
+    Game.prototype.addItemToInventory = function (itemCode, quiet) {
         var item = this.availableItems.getItem(itemCode);
         if (!item) {
             this.printError('Unable to add item "' + itemCode + '" to inventory; Item does not exist.');
         } else {
             this.inventory.addItem(item);
-            this.printInformation('Item "' + itemCode + '" added to inventory');
+            if (!quiet) {
+                this.printInformation('Item "' + itemCode + '" added to inventory');
+            }
         }
         
     };
-    Game.prototype.addItemsToInventory = function (itemCodeArray) {
+    Game.prototype.addItemsToInventory = function (itemCodeArray, quiet) {
         var i,
             itemCode;
         
         if (itemCodeArray && itemCodeArray instanceof Array) {
             for (i = 0; i < itemCodeArray.length; i += 1) {
                 itemCode = itemCodeArray[i];
-                this.addItemToInventory(itemCode);
+                this.addItemToInventory(itemCode, quiet);
             }
         }
         
@@ -523,6 +3058,414 @@ var AdventureMachine = (function ($) {
             this.printError('Unable to add items to location; No items defined');
         }
     };
+    // Fill each NPC's inventory with the items listed in their itemCodes
+    Game.prototype.addItemsToNpcs = function () {
+        var ids = this.npcs.getItemIds(),
+            npc,
+            item,
+            i,
+            j;
+        
+        for (i = 0; i < ids.length; i += 1) {
+            npc = this.npcs.getItem(ids[i]);
+            npc.inventory.clear();
+            for (j = 0; j < npc.itemCodes.length; j += 1) {
+                item = this.availableItems.getItem(npc.itemCodes[j]);
+                if (!item) {
+                    this.printError('Unable to add item "' + npc.itemCodes[j] + '" to NPC "' + npc.id + '"; Item does not exist.');
+                } else {
+                    npc.inventory.addItem(item);
+                }
+            }
+        }
+    };
+    // Fill each container with the items listed in its itemCodes
+    Game.prototype.addItemsToContainers = function () {
+        var ids = this.availableItems.getItemIds(),
+            container,
+            item,
+            i,
+            j;
+        
+        for (i = 0; i < ids.length; i += 1) {
+            container = this.availableItems.getItem(ids[i]);
+            if (container.isContainer()) {
+                container.contents.clear();
+                for (j = 0; j < container.itemCodes.length; j += 1) {
+                    item = this.availableItems.getItem(container.itemCodes[j]);
+                    if (!item) {
+                        this.printError('Unable to add item "' + container.itemCodes[j] + '" to container "' + container.id + '"; Item does not exist.');
+                    } else {
+                        container.contents.addItem(item);
+                    }
+                }
+            }
+        }
+    };
+    // The items in the current location, unless it is too dark to see them
+    Game.prototype.getVisibleItems = function () {
+        return this.isLit() ? this.currentLocation.items : new Inventory();
+    };
+    /*
+     * Can the player see in the location (the current one by default)? Locations are lit unless they are dark, in which
+     * case a light source that is on has to be there: carried by the player or an NPC, lying in the location, or in an
+     * open container.
+     */
+    Game.prototype.isLit = function (location) {
+        var inventories,
+            ids,
+            i,
+            j;
+        
+        location = location || this.currentLocation;
+        if (!location || !location.dark) {
+            return true;
+        }
+        
+        inventories = [location.items];
+        if (location === this.currentLocation) {
+            inventories.push(this.inventory);
+        }
+        ids = location.npcs.getItemIds();
+        for (i = 0; i < ids.length; i += 1) {
+            inventories.push(location.npcs.getItem(ids[i]).inventory);
+        }
+        inventories = inventories.concat(this.getOpenContents(inventories));
+        for (i = 0; i < inventories.length; i += 1) {
+            ids = inventories[i].getItemIds();
+            for (j = 0; j < ids.length; j += 1) {
+                if (inventories[i].getItem(ids[j]).givesLight()) {
+                    return true;
+                }
+            }
+        }
+        
+        return false;
+    };
+    // Switch a light source on or off, describing the location if the player can now see it, or telling them they can't
+    Game.prototype.switchLight = function (item, on) {
+        var wasLit = this.isLit(),
+            switched = on ? item.switchOn(this) : item.switchOff(this);
+        
+        if (switched) {
+            this.describeLightChange(wasLit);
+        }
+        
+        return switched;
+    };
+    // Tell the player if the current location has gone dark, or has become lit, since it was as provided
+    Game.prototype.describeLightChange = function (wasLit) {
+        if (wasLit && !this.isLit()) {
+            this.printDescription(this.currentLocation.getDarkDescription());
+        } else if (!wasLit && this.isLit()) {
+            this.displayCurrentLocationInfo();
+        }
+    };
+    // Run down the batteries of the light sources that are on, called every turn
+    Game.prototype.drainBatteries = function () {
+        var ids = this.availableItems.getItemIds(),
+            wasLit = this.isLit(),
+            item,
+            i;
+        
+        for (i = 0; i < ids.length; i += 1) {
+            item = this.availableItems.getItem(ids[i]);
+            if (item.givesLight()) {
+                item.drainBattery(this, this.inventory.getItem(item.id) === item || this.currentLocation.items.getItem(item.id) === item);
+            }
+        }
+        this.describeLightChange(wasLit);
+    };
+    // The contents of the open containers in the provided inventories, including containers within those
+    Game.prototype.getOpenContents = function (inventories) {
+        var contents = [],
+            ids,
+            item,
+            i,
+            j;
+        
+        for (i = 0; i < inventories.length; i += 1) {
+            ids = inventories[i].getItemIds();
+            for (j = 0; j < ids.length; j += 1) {
+                item = inventories[i].getItem(ids[j]);
+                if (item.isContainer && item.isContainer() && !item.getClosedMessage(this)) {
+                    contents.push(item.contents);
+                    contents = contents.concat(this.getOpenContents([item.contents]));
+                }
+            }
+        }
+        
+        return contents;
+    };
+    // The inventories holding the items the player can reach: their own, the current location's and any open containers in either
+    Game.prototype.getReachableInventories = function () {
+        var inventories = [this.inventory, this.getVisibleItems()];
+        
+        return inventories.concat(this.getOpenContents(inventories));
+    };
+    // The open container the player can reach that holds the item, if any
+    Game.prototype.findContainerOf = function (item) {
+        var inventories = [this.inventory, this.getVisibleItems()],
+            ids,
+            container,
+            i,
+            j;
+        
+        for (i = 0; i < inventories.length; i += 1) {
+            ids = inventories[i].getItemIds();
+            for (j = 0; j < ids.length; j += 1) {
+                container = inventories[i].getItem(ids[j]);
+                if (container.isContainer && container.isContainer() && !container.getClosedMessage(this)) {
+                    if (container.contents.getItem(item.id) === item) {
+                        return container;
+                    }
+                    inventories.push(container.contents);
+                }
+            }
+        }
+    };
+    // Is the player carrying the item, either directly or in a container they are carrying?
+    Game.prototype.isCarrying = function (item) {
+        var container;
+        
+        if (this.inventory.getItem(item.id) === item) {
+            return true;
+        }
+        container = this.findContainerOf(item);
+        
+        return !!container && this.isCarrying(container);
+    };
+    // The titles of the items in an open container, to follow its title in lists, e.g. " (containing Key, Coin)"
+    Game.prototype.describeContents = function (item) {
+        var ids,
+            titles = [],
+            i;
+        
+        if (!item.isContainer() || item.getClosedMessage(this)) {
+            return '';
+        }
+        ids = item.contents.getItemIds();
+        for (i = 0; i < ids.length; i += 1) {
+            titles.push(item.contents.getItem(ids[i]).getTitle());
+        }
+        
+        return titles.length > 0 ? ' (containing ' + titles.join(', ') + ')' : '';
+    };
+    /*
+     * Move an item into the player's inventory from the current location, or from the container provided. Returns false
+     * if the item can't be collected or a beforeItemTaken handler stopped it.
+     */
+    Game.prototype.takeItem = function (item, container) {
+        if (item.isCollectable() !== true) {
+            this.printError('You cannot take this item');
+            return false;
+        }
+        if (this.getCarryingBlockedMessage(item)) {
+            this.printError(this.getCarryingBlockedMessage(item));
+            return false;
+        }
+        if (!this.emit('beforeItemTaken', {item: item, container: container})) {
+            return false;
+        }
+        if (container) {
+            container.contents.removeItem(item.id);
+        } else {
+            this.currentLocation.items.removeItem(item.id);
+        }
+        this.inventory.addItem(item);
+        this.printInformation('"' + item.getTitle() + '" added to inventory.');
+        this.emit('itemTaken', {item: item, container: container});
+        
+        return true;
+    };
+    /*
+     * Add recipes for the combine command, each of which turns two items the player is carrying into a new item from
+     * the story's items, e.g.
+     * {"items": ["battery", "flashlight"], "result": "working-flashlight", "message": "The flashlight flickers on."}
+     * The items can be combined in either order, and are used up. A recipe can also need the player to be in a
+     * "location", or to have a "fixture" (or any other item) nearby, and a "condition" (see Game.evaluateCondition) to
+     * pass, with a "blockedMessage" shown when they aren't. Recipes can have "effects", see Game.applyEffects.
+     */
+    Game.prototype.addRecipes = function (recipes) {
+        this.recipes = this.recipes.concat(recipes || []);
+    };
+    // The recipe for combining the two items, in either order, if there is one
+    Game.prototype.findRecipe = function (item1, item2) {
+        var items,
+            i;
+        
+        for (i = 0; i < this.recipes.length; i += 1) {
+            items = this.recipes[i].items;
+            if ((items[0] === item1.id && items[1] === item2.id) || (items[0] === item2.id && items[1] === item1.id)) {
+                return this.recipes[i];
+            }
+        }
+    };
+    // The reason the recipe can't be made right now, or undefined if it can
+    Game.prototype.getRecipeBlockedMessage = function (recipe) {
+        var fixture;
+        
+        if (recipe.location && recipe.location !== this.currentLocation.id) {
+            return recipe.blockedMessage || 'You can\'t do that here.';
+        }
+        if (recipe.fixture && !this.getVisibleItems().getItem(recipe.fixture) && !this.inventory.getItem(recipe.fixture)) {
+            fixture = this.availableItems.getItem(recipe.fixture);
+            return recipe.blockedMessage || 'You need ' + (fixture ? fixture.getTitle() : recipe.fixture) + ' to do that.';
+        }
+        if (recipe.condition && !this.evaluateCondition(recipe.condition)) {
+            return recipe.blockedMessage || 'That doesn\'t work right now.';
+        }
+        
+        return undefined;
+    };
+    // Combine two items the player is carrying, returns false if they couldn't be combined
+    Game.prototype.combineItems = function (item1, item2) {
+        var recipe = this.findRecipe(item1, item2),
+            result;
+        
+        if (item1 === item2) {
+            this.printError('You can\'t combine ' + item1.getTitle() + ' with itself.');
+            return false;
+        }
+        if (!recipe) {
+            this.printError('Combining ' + item1.getTitle() + ' with ' + item2.getTitle() + ' doesn\'t achieve anything.');
+            return false;
+        }
+        if (this.getRecipeBlockedMessage(recipe)) {
+            this.printError(this.getRecipeBlockedMessage(recipe));
+            return false;
+        }
+        result = this.availableItems.getItem(recipe.result);
+        if (!result) {
+            this.printError('Unable to combine items; Item "' + recipe.result + '" does not exist.');
+            return false;
+        }
+        if (!this.emit('beforeItemsCombined', {items: [item1, item2], result: result, recipe: recipe})) {
+            return false;
+        }
+        
+        this.inventory.removeItem(item1.id);
+        this.inventory.removeItem(item2.id);
+        this.printMessage(recipe.message || 'You combine ' + item1.getTitle() + ' with ' + item2.getTitle() + ' to make ' + result.getTitle() + '.');
+        this.receiveItem(result);
+        this.applyEffects(recipe.effects);
+        this.emit('itemsCombined', {items: [item1, item2], result: result, recipe: recipe});
+        
+        return true;
+    };
+    /*
+     * The reason the player can't carry the item as well as everything else they have, or undefined if they can. An
+     * item they are giving up in exchange, e.g. to pay for the item, isn't counted. The weight of an item in a container
+     * they are carrying already counts, but its bulk doesn't until it is taken out.
+     */
+    Game.prototype.getCarryingBlockedMessage = function (item, exchangedItem) {
+        var load = this.getLoad(),
+            weight = this.isCarrying(item) ? 0 : item.getTotalWeight();
+        
+        if (exchangedItem) {
+            load.weight -= exchangedItem.getTotalWeight();
+            load.bulk -= exchangedItem.bulk;
+        }
+        if (this.capacity.weight !== undefined && load.weight + weight > this.capacity.weight) {
+            return item.getTitle() + ' is too heavy to carry along with everything else.';
+        }
+        if (this.capacity.bulk !== undefined && load.bulk + item.bulk > this.capacity.bulk) {
+            return 'Your hands are full, you can\'t carry ' + item.getTitle() + ' as well.';
+        }
+        
+        return undefined;
+    };
+    /*
+     * Give the player an item from somewhere other than the current location, e.g. from an NPC or a recipe. If it is
+     * more than they can carry, it is put down in the current location instead. Returns whether they are carrying it.
+     */
+    Game.prototype.receiveItem = function (item) {
+        var blockedMessage = this.getCarryingBlockedMessage(item);
+        
+        if (blockedMessage) {
+            this.currentLocation.items.addItem(item);
+            this.printInformation(blockedMessage + ' "' + item.getTitle() + '" has been put down here.');
+            return false;
+        }
+        this.inventory.addItem(item);
+        this.printInformation('"' + item.getTitle() + '" added to inventory.');
+        
+        return true;
+    };
+    // How much the player is carrying, {weight, bulk}
+    Game.prototype.getLoad = function () {
+        return {
+            weight: getTotal(this.inventory, 'weight'),
+            bulk: getTotal(this.inventory, 'bulk')
+        };
+    };
+    // Describe how much the player is carrying against their capacity, e.g. "Carrying 7/10", or '' if it is unlimited
+    Game.prototype.describeLoad = function () {
+        var load = this.getLoad(),
+            parts = [];
+        
+        if (this.capacity.weight !== undefined) {
+            parts.push((this.capacity.bulk !== undefined ? 'weight ' : '') + load.weight + '/' + this.capacity.weight);
+        }
+        if (this.capacity.bulk !== undefined) {
+            parts.push((this.capacity.weight !== undefined ? 'bulk ' : '') + load.bulk + '/' + this.capacity.bulk);
+        }
+        
+        return parts.length > 0 ? 'Carrying ' + parts.join(', ') : '';
+    };
+    // Drop an item the player is carrying in the current location, returns false if a beforeItemDropped handler stopped it
+    Game.prototype.dropItem = function (item) {
+        if (!this.emit('beforeItemDropped', {item: item})) {
+            return false;
+        }
+        this.inventory.removeItem(item.id);
+        this.currentLocation.items.addItem(item);
+        this.printInformation('Dropped "' + item.getTitle() + '"');
+        this.emit('itemDropped', {item: item});
+        
+        return true;
+    };
+    /*
+     * Take or drop every item in the inventory provided, except those matching any of the names in the exceptions,
+     * e.g. "take all except key and torch". Items that can't be collected are skipped, and each item reports whether
+     * it was taken or dropped, see takeItem and dropItem. Returns the number of items that were.
+     */
+    Game.prototype.moveAll = function (inventory, exceptions, take, container) {
+        var ids = inventory.getItemIds(),
+            moved = 0,
+            excluded,
+            item,
+            i,
+            j;
+        
+        exceptions = exceptions ? exceptions.split(/\s*(?:,|\band\b)\s*/) : [];
+        for (i = 0; i < ids.length; i += 1) {
+            item = inventory.getItem(ids[i]);
+            excluded = false;
+            for (j = 0; j < exceptions.length; j += 1) {
+                if (exceptions[j] && item.matchName(exceptions[j]) > 0) {
+                    excluded = true;
+                }
+            }
+            if (item.isCollectable() && !excluded && (take ? this.takeItem(item, container) : this.dropItem(item))) {
+                moved += 1;
+            }
+        }
+        
+        return moved;
+    };
+    // Describe a price, either an amount of the game's currency or the id of an item to exchange
+    Game.prototype.describePrice = function (price) {
+        var currency = this.currency || {},
+            item;
+        
+        if (typeof price === 'number') {
+            return price + ' ' + (price === 1 ? (currency.singular || 'coin') : (currency.plural || 'coins'));
+        }
+        item = this.availableItems.getItem(price);
+        
+        return item ? item.getTitle() : price;
+    };
     Game.prototype.addNpcsToLocation = function (location, npcCodeArray) {
         var i,
             npcCode,
@@ -544,6 +3487,143 @@ var AdventureMachine = (function ($) {
             this.printError('Unable to add items to location; No items defined');
         }
     };
+    /*
+     * Capture everything about the current session that can change during play, as a plain object that can be
+     * serialised to JSON. Entities are referenced by id, so the state can only be restored into a game started from
+     * the same story.
+     */
+    Game.prototype.getState = function () {
+        var state,
+            locationId,
+            location,
+            ids,
+            i;
+        
+        state = {
+            version: Game.STATE_VERSION,
+            name: this.name,
+            turns: this.turns,
+            currentLocationId: this.currentLocation.id,
+            inventory: this.inventory.getItemIds(),
+            variables: this.variables.getState(),
+            score: this.scoreboard.getState(),
+            locations: {},
+            npcs: {},
+            containers: {},
+            lights: {}
+        };
+        ids = this.npcs.getItemIds();
+        for (i = 0; i < ids.length; i += 1) {
+            state.npcs[ids[i]] = this.npcs.getItem(ids[i]).getState();
+        }
+        ids = this.availableItems.getItemIds();
+        for (i = 0; i < ids.length; i += 1) {
+            if (this.availableItems.getItem(ids[i]).isContainer()) {
+                state.containers[ids[i]] = this.availableItems.getItem(ids[i]).getContainerState();
+            }
+            if (this.availableItems.getItem(ids[i]).lightSource) {
+                state.lights[ids[i]] = {on: this.availableItems.getItem(ids[i]).on, battery: this.availableItems.getItem(ids[i]).battery};
+            }
+        }
+        
+        for (locationId in this.locations) {
+            if (this.locations.hasOwnProperty(locationId)) {
+                location = this.locations[locationId];
+                state.locations[locationId] = location.getState();
+            }
+        }
+        
+        return state;
+    };
+    // Return the game to a state previously captured by getState, without re-running any location logic
+    Game.prototype.setState = function (state) {
+        var locationId,
+            location,
+            npcId,
+            itemId;
+        
+        if (!state || state.version !== Game.STATE_VERSION) {
+            throw 'Error: Unsupported game state version "' + (state && state.version) + '"';
+        }
+        if (state.name !== this.name) {
+            throw 'Error: Game state belongs to "' + state.name + '", not "' + this.name + '"';
+        }
+        if (!this.locations[state.currentLocationId]) {
+            throw 'Error: "' + state.currentLocationId + '" is not a valid location';
+        }
+        
+        this.conversation = undefined;
+        this.pendingQuestion = undefined;
+        this.inventory.clear();
+        this.addItemsToInventory(state.inventory, true);
+        this.variables.setState(state.variables);
+        this.scoreboard.setState(state.score);
+        this.turns = state.turns || 0;
+        
+        for (locationId in state.locations) {
+            if (state.locations.hasOwnProperty(locationId)) {
+                location = this.locations[locationId];
+                if (location) {
+                    location.setState(state.locations[locationId], this);
+                }
+            }
+        }
+        for (npcId in state.npcs) {
+            if (state.npcs.hasOwnProperty(npcId) && this.npcs.getItem(npcId)) {
+                this.npcs.getItem(npcId).setState(state.npcs[npcId], this);
+            }
+        }
+        for (itemId in state.containers) {
+            if (state.containers.hasOwnProperty(itemId) && this.availableItems.getItem(itemId)) {
+                this.availableItems.getItem(itemId).setContainerState(state.containers[itemId], this);
+            }
+        }
+        for (itemId in state.lights) {
+            if (state.lights.hasOwnProperty(itemId) && this.availableItems.getItem(itemId)) {
+                this.availableItems.getItem(itemId).on = state.lights[itemId].on;
+                this.availableItems.getItem(itemId).battery = state.lights[itemId].battery;
+            }
+        }
+        
+        this.setCurrentLocation(this.locations[state.currentLocationId]);
+    };
+    // The key under which this game's save slots are kept in storage
+    Game.prototype.getStorageKey = function () {
+        return 'adventure-machine.saves.' + this.name;
+    };
+    // Read the saved slots for this game, keyed by slot name
+    Game.prototype.getSaves = function () {
+        var saves;
+        
+        if (!this.storage) {
+            throw 'Error: No storage available for saved games';
+        }
+        saves = JSON.parse(this.storage.getItem(this.getStorageKey()) || '{}');
+        
+        return saves.slots || {};
+    };
+    // Save the current state of the game in the named slot, replacing anything previously saved there
+    Game.prototype.save = function (slot) {
+        var slots = this.getSaves();
+        
+        slots[slot] = {
+            savedAt: new Date().getTime(),
+            state: this.getState()
+        };
+        this.storage.setItem(this.getStorageKey(), JSON.stringify({version: Game.STATE_VERSION, slots: slots}));
+    };
+    // Restore the game from the named slot, returns false if nothing was saved there
+    Game.prototype.restore = function (slot) {
+        var saved = this.getSaves()[slot];
+        
+        if (!saved) {
+            return false;
+        }
+        this.setState(saved.state);
+        this.clearHistory();
+        
+        return true;
+    };
     // Commands that apply to all games
     Game.prototype.getCommands = function () {
         var
@@ -551,11 +3631,11 @@ var AdventureMachine = (function ($) {
                 var location = this.game.currentLocation,
                     exit;
                 
-                exit = location.getExit(destination);
+                exit = location.getVisibleExit(destination);
                 if (!exit) {
                     this.game.printError('"' + destination + '" is not an exit.');
                 } else {
-                    this.game.goTo(exit.destinationLocationId);
+                    this.game.goThrough(exit);
                 }
             }),
             // Just another name for go, a bit nicer to read.
@@ -564,11 +3644,11 @@ var AdventureMachine = (function ($) {
                 var location = this.game.currentLocation,
                     exit;
                 
-                exit = location.getExit(destination);
+                exit = location.getVisibleExit(destination);
                 if (!exit) {
                     this.game.printError('"' + destination + '" is not an exit.');
                 } else {
-                    this.game.goTo(exit.destinationLocationId);
+                    this.game.goThrough(exit);
                 }
             }),
             supergo = new RegexCallbackCommand('supergo', null, 'SuperGo:<br/>supergo &lt;location code&gt; - debug tool e.g. "supergo room1"', function (commandText, destination) {
@@ -583,146 +3663,396 @@ var AdventureMachine = (function ($) {
                     i,
                     message = '';
                 
-                if (commandText && commandText.toUpperCase().startsWith(this.shortName.toUpperCase())) {
-                    commands = this.game.availableCommands;
-                    if (commandParts.length > 1) {
-                        // Find command and print 
-                        for (i = 0; i < commands.length; i += 1) {
-                            command = commands[i];
-                            if (command instanceof Command && command.getShortName().toUpperCase() === commandParts[1].toUpperCase()) {
-                                this.game.printInformation(command.getDescription());
-                            }
-                        }
+                commands = this.game.availableCommands;
+                if (commandParts.length > 1) {
+                    // Find command and print 
+                    command = this.game.findCommand(commandParts.slice(1).join(' '));
+                    if (command) {
+                        this.game.printInformation(command.getDescription());
                     } else {
-                        message += 'Help:<br/>Type one of the following commands:<br/>';
-                        // Fetch description from every available command
-                        for (i = 0; i < commands.length; i += 1) {
-                            command = commands[i];
-                            if (command instanceof Command) {
-                                if (command.getShortName() !== this.getShortName()) {
-                                    message += '<span class="command">' + command.getShortName() + '</span><br/>';
-                                }
+                        this.game.printUnrecognisedCommand(commandParts.slice(1).join(' '));
+                    }
+                } else {
+                    message += 'Help:<br/>Type one of the following commands:<br/>';
+                    // Fetch description from every available command
+                    for (i = 0; i < commands.length; i += 1) {
+                        command = commands[i];
+                        if (command instanceof Command) {
+                            if (command.getShortName() !== this.getShortName()) {
+                                message += this.game.linkEntity('command', command.getShortName(), command.getShortName(), 'command') + '<br/>';
                             }
                         }
-                        message += this.getDescription() + '<br/>';
-                        this.game.printInformation(message);
                     }
+                    message += this.getDescription() + '<br/>';
+                    this.game.printInformation(message);
                 }
             }),
             examine = new RegexCallbackCommand('examine', null, 'examine &lt;<span class="command">item/npc</span>&gt; - examine an item or NPC, e.g "examine cupboard" or "examine clerk"', function (commandText, itemName) {
                 var item;
                     
                 // Find target object in those available in the player's inventory and the current location
-                item = this.game.inventory.findItemByName(itemName) || this.game.currentLocation.items.findItemByName(itemName) || this.game.currentLocation.npcs.findItemByName(itemName);
+                item = this.game.findEntity(itemName, this.game.getReachableInventories().concat([this.game.currentLocation.npcs]));
+                if (item === null) {
+                    return;
+                }
                 if (item) {
-                    this.game.printDescription(item.description);
+                    this.game.setLastReferenced(item);
+                    this.game.printDescription(item.getDescription());
+                    if (item instanceof Item && item.isContainer()) {
+                        this.game.printInformation(item.describeInside(this.game));
+                    }
                 } else {
                     this.game.printError('Unknown item: ' + itemName);
                 }
             }),
             // Take an item from the current location
-            take = new RegexCallbackCommand('take', null, 'take &lt;<span class="command">item</span>&gt; - take an item, e.g "take key"', function (commandText, itemName) {
-                var item;
+            take = new RegexCallbackCommand('take', 'from', 'take &lt;<span class="command">item</span>&gt; - take an item, e.g "take key", "take key from drawer" or "take all except key"', function (commandText, itemName, containerName) {
+                var game = this.game,
+                    container,
+                    item,
+                    all;
                 
-                // Find target object in those available in the current location
-                item = this.game.currentLocation.items.findItemByName(itemName);
-                if (item) {
-                    if (item.isCollectable() === true) {
-                        this.game.currentLocation.items.takeItem(item.id);
-                        this.game.inventory.addItem(item);
-                        this.game.printInformation('"' + item.title + '" added to inventory.');
-                    } else {
-                        this.game.printError('You cannot take this item');
+                all = /^(?:all|everything)(?:\s+(?:except|but)\s+(.*))?$/i.exec(itemName);
+                if (containerName) {
+                    container = game.findEntity(containerName, game.getReachableInventories());
+                    if (container === null) {
+                        return;
+                    }
+                    if (!container || !container.isContainer()) {
+                        game.printError(container ? 'There\'s nothing inside ' + container.getTitle() + '.' : 'Can\'t find: "' + containerName + '"');
+                        return;
+                    }
+                    game.setLastReferenced(container);
+                    if (container.getClosedMessage(game)) {
+                        game.printError(container.getClosedMessage(game));
+                        return;
+                    }
+                    if (all) {
+                        if (game.moveAll(container.contents, all[1], true, container) > 0) {
+                            return true;
+                        }
+                        game.printError('There\'s nothing in ' + container.getTitle() + ' you can take.');
+                        return;
+                    }
+                    item = game.findEntity(itemName, [container.contents]);
+                } else if (all) {
+                    if (game.moveAll(game.getVisibleItems(), all[1], true) > 0) {
+                        return true;
                     }
+                    game.printError('There\'s nothing here you can take.');
+                    return;
                 } else {
-                    this.game.printError('Unknown item: ' + itemName);
+                    // Find target object in those available in the current location, or in the open containers there
+                    item = game.findEntity(itemName, [game.getVisibleItems()].concat(game.getOpenContents([game.inventory, game.getVisibleItems()])));
+                    container = item && game.findContainerOf(item);
+                }
+                if (item === null) {
+                    return;
+                }
+                if (item) {
+                    game.setLastReferenced(item);
+                    game.takeItem(item, container);
+                } else {
+                    game.printError('Unknown item: ' + itemName + (containerName ? ' in ' + container.getTitle() : ''));
+                }
+                
+            }),
+            // Put an item the player is carrying into a container
+            put = new RegexCallbackCommand('put', 'in(?:to|side)?', 'put &lt;<span class="command">item</span>&gt; in &lt;<span class="command">container</span>&gt; - put an item in a container, e.g "put key in drawer"', function (commandText, itemName, containerName) {
+                var game = this.game,
+                    container,
+                    item;
+                
+                if (!containerName) {
+                    game.printError('What do you want to put ' + itemName + ' in? e.g. "put ' + itemName + ' in drawer"');
+                    return;
+                }
+                item = game.findEntity(itemName, [game.inventory]);
+                if (item === null) {
+                    return;
+                }
+                if (!item) {
+                    game.printError('You aren\'t carrying: "' + itemName + '"');
+                    return;
+                }
+                container = game.findEntity(containerName, game.getReachableInventories());
+                if (container === null) {
+                    return;
+                }
+                if (!container || !container.isContainer()) {
+                    game.printError(container ? 'You can\'t put anything in ' + container.getTitle() + '.' : 'Can\'t find: "' + containerName + '"');
+                    return;
+                }
+                game.setLastReferenced(item);
+                if (container.getClosedMessage(game)) {
+                    game.printError(container.getClosedMessage(game));
+                } else if (item === container || (item.isContainer() && item.holds(container))) {
+                    game.printError('You can\'t put ' + item.getTitle() + ' inside itself.');
+                } else if (!container.hasRoomFor(item)) {
+                    game.printError('There\'s no more room in ' + container.getTitle() + '.');
+                } else if (game.emit('beforeItemPut', {item: item, container: container})) {
+                    game.inventory.removeItem(item.id);
+                    container.contents.addItem(item);
+                    game.printInformation('You put "' + item.getTitle() + '" in ' + container.getTitle() + '.');
+                    game.emit('itemPut', {item: item, container: container});
+                }
+            }),
+            // Open a container
+            open = new RegexCallbackCommand('open', null, 'open &lt;<span class="command">container</span>&gt; - open something, e.g "open drawer"', function (commandText, containerName) {
+                var container = this.game.findEntity(containerName, this.game.getReachableInventories());
+                
+                if (container === null) {
+                    return;
+                }
+                if (!container) {
+                    this.game.printError('Can\'t find: "' + containerName + '"');
+                    return;
+                }
+                this.game.setLastReferenced(container);
+                if (container.openContainer(this.game)) {
+                    this.game.emit('containerOpened', {container: container});
+                }
+            }),
+            // Close a container
+            close = new RegexCallbackCommand('close', null, 'close &lt;<span class="command">container</span>&gt; - close something, e.g "close drawer"', function (commandText, containerName) {
+                var container = this.game.findEntity(containerName, this.game.getReachableInventories());
+                
+                if (container === null) {
+                    return;
+                }
+                if (!container) {
+                    this.game.printError('Can\'t find: "' + containerName + '"');
+                    return;
+                }
+                this.game.setLastReferenced(container);
+                if (container.closeContainer(this.game)) {
+                    this.game.emit('containerClosed', {container: container});
+                }
+            }),
+            // Lock a closed container with its key
+            lock = new RegexCallbackCommand('lock', 'with', 'lock &lt;<span class="command">container</span>&gt; with &lt;<span class="command">item</span>&gt; - lock something with its key, e.g "lock drawer with small key"', function (commandText, containerName, keyName) {
+                var game = this.game,
+                    container,
+                    key;
+                
+                container = game.findEntity(containerName, game.getReachableInventories());
+                if (container === null) {
+                    return;
+                }
+                key = container && keyName && game.findEntity(keyName, [game.inventory]);
+                if (key === null) {
+                    return;
+                }
+                if (!container) {
+                    game.printError('Can\'t find: "' + containerName + '"');
+                } else if (!keyName) {
+                    game.printError('What do you want to lock ' + container.getTitle() + ' with? e.g. "lock ' + containerName + ' with key"');
+                } else if (!key) {
+                    game.printError('You aren\'t carrying: "' + keyName + '"');
+                } else {
+                    game.setLastReferenced(container);
+                    container.lockWith(key, game);
+                }
+            }),
+            // Combine two items the player is carrying into a new one, see Game.addRecipes
+            combine = new RegexCallbackCommand('combine', 'with', 'combine &lt;<span class="command">item</span>&gt; with &lt;<span class="command">item</span>&gt; - combine two items, e.g "combine battery with flashlight"', function (commandText, itemName1, itemName2) {
+                var game = this.game,
+                    item1,
+                    item2;
+                
+                if (!itemName2) {
+                    game.printError('What do you want to combine ' + itemName1 + ' with? e.g. "combine ' + itemName1 + ' with string"');
+                    return;
+                }
+                item1 = game.findEntity(itemName1, [game.inventory]);
+                if (item1 === null) {
+                    return;
+                }
+                item2 = item1 && game.findEntity(itemName2, [game.inventory]);
+                if (item2 === null) {
+                    return;
+                }
+                if (!item1 || !item2) {
+                    game.printError('You aren\'t carrying: "' + (item1 ? itemName2 : itemName1) + '"');
+                } else {
+                    game.setLastReferenced(item1);
+                    game.combineItems(item1, item2);
+                }
+            }),
+            // Switch a light source on or off
+            turnOn = new RegexCallbackCommand('turn on', null, 'turn on &lt;<span class="command">item</span>&gt; - switch on a light, e.g "turn on lamp"', function (commandText, itemName) {
+                var item = this.game.findEntity(itemName, this.game.getReachableInventories());
+                
+                if (item === null) {
+                    return;
+                }
+                if (!item) {
+                    this.game.printError('Can\'t find: "' + itemName + '"');
+                } else {
+                    this.game.setLastReferenced(item);
+                    this.game.switchLight(item, true);
+                }
+            }),
+            turnOff = new RegexCallbackCommand('turn off', null, 'turn off &lt;<span class="command">item</span>&gt; - switch off a light, e.g "turn off lamp"', function (commandText, itemName) {
+                var item = this.game.findEntity(itemName, this.game.getReachableInventories());
+                
+                if (item === null) {
+                    return;
+                }
+                if (!item) {
+                    this.game.printError('Can\'t find: "' + itemName + '"');
+                } else {
+                    this.game.setLastReferenced(item);
+                    this.game.switchLight(item, false);
                 }
+            }),
+            // Look at what is inside a container
+            lookIn = new RegexCallbackCommand('look in', null, 'look in &lt;<span class="command">container</span>&gt; - see what is inside something, e.g "look in drawer"', function (commandText, containerName) {
+                var container = this.game.findEntity(containerName, this.game.getReachableInventories());
                 
+                if (container === null) {
+                    return;
+                }
+                if (!container || !container.isContainer()) {
+                    this.game.printError(container ? 'There\'s nothing inside ' + container.getTitle() + '.' : 'Can\'t find: "' + containerName + '"');
+                    return;
+                }
+                this.game.setLastReferenced(container);
+                this.game.printInformation(container.describeInside(this.game));
             }),
             // Use an item, on its own or on another item or NPC
             use = new RegexCallbackCommand('use', 'on', 'use &lt;<span class="command">item</span>&gt; - use an item, e.g "use gold key" or "use key on blue door"', function (commandText, itemName, targetName) {
                 var target,
-                    item;
+                    exit,
+                    item,
+                    used;
                 
-                item = this.game.inventory.findItemByName(itemName) || this.game.currentLocation.items.findItemByName(itemName);
-                if (targetName) {
-                    target = this.game.inventory.findItemByName(targetName) || this.game.currentLocation.items.findItemByName(targetName) || this.game.currentLocation.npcs.findItemByName(itemName);
+                item = this.game.findEntity(itemName, this.game.getReachableInventories());
+                if (item === null) {
+                    return;
+                }
+                if (item && targetName) {
+                    // Exits are named exactly, so take precedence over entities that only partly match the name
+                    exit = this.game.currentLocation.getVisibleExit(targetName);
+                    target = exit ? undefined : this.game.findEntity(targetName, this.game.getReachableInventories().concat([this.game.currentLocation.npcs]));
+                    if (target === null) {
+                        return;
+                    }
                 }
                 
                 if (!item) {
                     this.game.printError('Can\'t find: "' + itemName + '"');
                 } else {
-                       
-                    if (targetName) {
-                        if (!target) {
-                            this.game.printError('Can\'t find: "' + targetName + '"');
+                    this.game.setLastReferenced(item);
+                    if (targetName && !exit && !target) {
+                        this.game.printError('Can\'t find: "' + targetName + '"');
+                    } else if (this.game.emit('beforeItemUsed', {item: item, target: exit || target})) {
+                        if (exit) {
+                            used = exit.onUse(item, this.game);
+                        } else if (target instanceof Item && target.isContainer() && target.key === item.id) {
+                            used = target.onUseKey(item, this.game);
+                        } else if (target) {
+                            used = item.onUse(target);
                         } else {
-                            item.onUse(target);
+                            used = item.onUse();
+                        }
+                        if (used === true) {
+                            this.game.emit('itemUsed', {item: item, target: exit || target});
                         }
-                    } else {
-                        item.onUse();
                     }
-                
                 }
                  
             }),
             // Drop an item, removing it from the player's inventory and leaving it in the current location
-            drop = new RegexCallbackCommand('drop', null, 'drop &lt;<span class="command">item</span>&gt; - drop an item, e.g "drop gold key"', function (commandText, itemName) {
-                var item = this.game.inventory.findItemByName(itemName);
+            drop = new RegexCallbackCommand('drop', null, 'drop &lt;<span class="command">item</span>&gt; - drop an item, e.g "drop gold key" or "drop all except torch"', function (commandText, itemName) {
+                var all = /^(?:all|everything)(?:\s+(?:except|but)\s+(.*))?$/i.exec(itemName),
+                    item;
                 
+                if (all) {
+                    if (this.game.moveAll(this.game.inventory, all[1], false) > 0) {
+                        return true;
+                    }
+                    this.game.printError('You aren\'t carrying anything to drop.');
+                    return;
+                }
+                item = this.game.findEntity(itemName, [this.game.inventory]);
+                if (item === null) {
+                    return;
+                }
                 if (!item) {
                     this.game.printError('Can\'t find: "' + itemName + '"');
                 } else {
-                    this.game.inventory.removeItem(item.id);
-                    this.game.currentLocation.items.addItem(item);
-                    this.game.printInformation('Dropped "' + item.title + '"');
+                    this.game.setLastReferenced(item);
+                    this.game.dropItem(item);
                 }
                  
             }),
             // Display the collection of items currently in the player's posession
-            inventory = new CallbackCommand('inventory', 'inventory - display the items currently in your posession', function (commandText) {
+            inventory = new CallbackCommand('inventory', 'inventory - display the items currently in your posession', function () {
                 var items,
                     item,
                     itemCode,
                     message,
                     found;
-                if (commandText && commandText.trim().toUpperCase() === this.getShortName().toUpperCase()) {
-                    
-                    items = this.game.inventory.items;
-                    message = 'Inventory:<br/>';
-                    found = false;
-                    for (itemCode in items) {
-                        if (items.hasOwnProperty(itemCode)) {
-                            item = items[itemCode];
-                            if (item) {
-                                found = true;
-                                message += '<span class="command">' + item.title + '</span><br/>';
-                            }
+                
+                items = this.game.inventory.items;
+                message = 'Inventory:<br/>';
+                found = false;
+                for (itemCode in items) {
+                    if (items.hasOwnProperty(itemCode)) {
+                        item = items[itemCode];
+                        if (item) {
+                            found = true;
+                            message += this.game.linkEntity('carried', item.id, item.getTitle(), 'command') + this.game.describeContents(item) + '<br/>';
                         }
                     }
-                    if (!found) {
-                        message += 'You don\'t have any items in your inventory yet.';
-                    }
-                    this.game.printInformation(message);
                 }
+                if (!found) {
+                    message += 'You don\'t have any items in your inventory yet.';
+                }
+                if (this.game.currency) {
+                    message += (found ? '' : '<br/>') + 'Money: ' + this.game.describePrice(this.game.variables.get(this.game.currency.variable, 0)) + '<br/>';
+                    found = true;
+                }
+                if (this.game.describeLoad()) {
+                    message += (found ? '' : '<br/>') + this.game.describeLoad();
+                }
+                this.game.printInformation(message);
             }),
             // Take an item from the current location
-            look = new CallbackCommand('look', 'look - display information about the current location', function (commandText) {
-                if (commandText && commandText.trim().toUpperCase() === this.getShortName().toUpperCase()) {
-                    this.game.displayCurrentLocationInfo();
-                }
+            look = new CallbackCommand('look', 'look - display information about the current location', function () {
+                this.game.displayCurrentLocationInfo();
             }),
             // Ask an NPC about a particular topic
-            ask = new RegexCallbackCommand('ask', 'about', 'ask &lt;<span class="command">NPC</span>&gt; about &lt;topic&gt; - ask an NPC about a topic, e.g "ask clerk about accounts"', function (commandText, npcName, topic) {
-                var npc;
+            ask = new RegexCallbackCommand('ask', 'about', 'ask &lt;<span class="command">NPC</span>&gt; about &lt;topic&gt; - ask an NPC about a topic, e.g "ask clerk about accounts", or "ask clerk about" to list the topics you know of', function (commandText, npcName, topic) {
+                var npc,
+                    topics;
                 
-                npc = this.game.currentLocation.npcs.findItemByName(npcName);
+                if (!topic) {
+                    npcName = npcName.replace(/\s+about$/i, '');
+                }
+                npc = this.game.findEntity(npcName, [this.game.currentLocation.npcs]);
+                if (npc === null) {
+                    return;
+                }
                 if (!npc) {
                     this.game.printError('Can\'t find: "' + npcName + '"');
+                } else if ((!topic || topic.trim().length === 0) && npc.topics.length > 0) {
+                    this.game.setLastReferenced(npc);
+                    topics = npc.getDiscoveredTopics();
+                    if (topics.length > 0) {
+                        this.game.printInformation('You could ask ' + npc.getTitle() + ' about: ' + topics.join(', '));
+                    } else {
+                        this.game.printInformation('You haven\'t found anything to ask ' + npc.getTitle() + ' about yet, e.g. "ask ' + npc.getTitle() + ' about topic"');
+                    }
                 } else if (!topic || topic.trim().length === 0) {
                     this.game.printError('You must specify a topic to ask about, e.g. "ask ' + npc.getTitle() + ' about topic"');
                 } else {
-                    npc.onAsk(topic);
+                    this.game.setLastReferenced(npc);
+                    if (this.game.emit('beforeNpcAsked', {npc: npc, topic: topic})) {
+                        npc.onAsk(topic);
+                        this.game.emit('npcAsked', {npc: npc, topic: topic});
+                    }
                 }
                  
             }),
@@ -730,58 +4060,340 @@ var AdventureMachine = (function ($) {
             tell = new RegexCallbackCommand('tell', 'about', 'tell &lt;<span class="command">NPC</span>&gt; about &lt;topic&gt; - tell an NPC about a topic, e.g "tell clerk about missing money"', function (commandText, npcName, topic) {
                 var npc;
                 
-                npc = this.game.currentLocation.npcs.findItemByName(npcName);
+                npc = this.game.findEntity(npcName, [this.game.currentLocation.npcs]);
+                if (npc === null) {
+                    return;
+                }
                 if (!npc) {
                     this.game.printError('Can\'t find: "' + npcName + '"');
                 } else if (!topic || topic.trim().length === 0) {
                     this.game.printError('You must specify a topic to talk about, e.g. "tell ' + npc.getTitle() + ' about topic"');
                 } else {
+                    this.game.setLastReferenced(npc);
                     npc.onTell(topic);
                 }
                  
             }),
             // Talk to an NPC
-            talk = new RegexCallbackCommand('talk to', 'about', 'talk to &lt;<span class="command">NPC</span>&gt; about &lt;topic&gt; - tell an NPC, e.g "talk to shopkeeper" or "talk to clerk about the weather"', function (commandText, npcName, topic) {
+            talk = new RegexCallbackCommand('talk to', 'about', 'talk to &lt;<span class="command">NPC</span>&gt; about &lt;topic&gt; - talk to an NPC, e.g "talk to shopkeeper" or "talk to clerk about the weather"', function (commandText, npcName, topic) {
                 var npc;
                 
-                npc = this.game.currentLocation.npcs.findItemByName(npcName);
+                npc = this.game.findEntity(npcName, [this.game.currentLocation.npcs]);
+                if (npc === null) {
+                    return;
+                }
                 if (!npc) {
                     this.game.printError('Can\'t find: "' + npcName + '"');
                 } else {
-                    npc.onTalk(topic);
+                    this.game.setLastReferenced(npc);
+                    if (topic || !this.game.startConversation(npc)) {
+                        npc.onTalk(topic);
+                    }
                 }
             }),
             // Give an item to an NPC
-            give = new RegexCallbackCommand('give', 'to', 'give &lt;<span class="command">item</span>&gt; about &lt;<span class="command">NPC</span>&gt; - give an item to an NPC, e.g "give money to shopkeeper"', function (commandText, itemName, npcName) {
+            give = new RegexCallbackCommand('give', 'to', 'give &lt;<span class="command">item</span>&gt; to &lt;<span class="command">NPC</span>&gt; - give an item to an NPC, e.g "give money to shopkeeper"', function (commandText, itemName, npcName) {
                 var item,
                     npc;
                 
-                item = this.game.inventory.findItemByName(itemName) || this.game.currentLocation.items.findItemByName(itemName);
+                item = this.game.findEntity(itemName, [this.game.inventory]);
+                if (item === null) {
+                    return;
+                }
                 if (!item) {
-                    this.game.printError('Can\'t find: "' + itemName + '"');
-                } else if (!npcName) {
+                    this.game.printError('You aren\'t carrying: "' + itemName + '"');
+                    return;
+                }
+                if (!npcName) {
                     this.game.printError('You must specify an NPC to give the item to.');
+                    return;
                 }
                 
-                npc = this.game.currentLocation.npcs.findItemByName(npcName);
+                npc = this.game.findEntity(npcName, [this.game.currentLocation.npcs]);
+                if (npc === null) {
+                    return;
+                }
                 if (!npc) {
                     this.game.printError('Can\'t find: "' + npcName + '"');
                 } else {
-                    npc.onGive(item);
+                    this.game.setLastReferenced(npc);
+                    this.game.setLastReferenced(item);
+                    if (this.game.emit('beforeNpcGiven', {npc: npc, item: item}) && npc.onGive(item)) {
+                        this.game.emit('npcGiven', {npc: npc, item: item});
+                    }
                 }
                  
+            }),
+            // Buy an item from an NPC, paying with the game's currency or another item
+            buy = new RegexCallbackCommand('buy', 'from', 'buy &lt;<span class="command">item</span>&gt; from &lt;<span class="command">NPC</span>&gt; - buy an item from an NPC, e.g "buy coffee from waiter"', function (commandText, itemName, npcName) {
+                var game = this.game,
+                    sellers = [],
+                    npcIds,
+                    npc,
+                    item,
+                    sale,
+                    money,
+                    i;
+                
+                if (npcName) {
+                    npc = game.findEntity(npcName, [game.currentLocation.npcs]);
+                    if (npc === null) {
+                        return;
+                    }
+                    if (!npc) {
+                        game.printError('Can\'t find: "' + npcName + '"');
+                        return;
+                    }
+                } else {
+                    npcIds = game.currentLocation.npcs.getItemIds();
+                    for (i = 0; i < npcIds.length; i += 1) {
+                        if (game.currentLocation.npcs.getItem(npcIds[i]).sales.length > 0) {
+                            sellers.push(game.currentLocation.npcs.getItem(npcIds[i]));
+                        }
+                    }
+                    if (sellers.length !== 1) {
+                        game.printError(sellers.length === 0 ? 'There\'s no one here to buy from.' : 'Who do you want to buy it from? e.g. "buy ' + itemName + ' from ' + sellers[0].getTitle() + '"');
+                        return;
+                    }
+                    npc = sellers[0];
+                }
+                game.setLastReferenced(npc);
+                
+                item = game.findEntity(itemName, [npc.inventory]);
+                if (item === null) {
+                    return;
+                }
+                sale = item && npc.getSale(item.id);
+                if (!sale) {
+                    game.printError(npc.getTitle() + ' doesn\'t have "' + itemName + '" for sale.');
+                    return;
+                }
+                
+                if (typeof sale.price === 'number') {
+                    money = (game.currency && game.variables.get(game.currency.variable, 0)) || 0;
+                    if (money < sale.price) {
+                        game.printError('You can\'t afford ' + item.getTitle() + ', it costs ' + game.describePrice(sale.price) + ' and you have ' + game.describePrice(money) + '.');
+                        return;
+                    }
+                } else if (!game.inventory.getItem(sale.price)) {
+                    game.printError(npc.getTitle() + ' wants ' + game.describePrice(sale.price) + ' for ' + item.getTitle() + '.');
+                    return;
+                }
+                if (game.getCarryingBlockedMessage(item, game.inventory.getItem(sale.price))) {
+                    game.printError(game.getCarryingBlockedMessage(item, game.inventory.getItem(sale.price)));
+                    return;
+                }
+                if (!game.emit('beforeItemBought', {npc: npc, item: item, price: sale.price})) {
+                    return;
+                }
+                
+                if (typeof sale.price === 'number') {
+                    game.variables.increment(game.currency.variable, -sale.price);
+                } else {
+                    npc.inventory.addItem(game.inventory.getItem(sale.price));
+                    game.inventory.removeItem(sale.price);
+                }
+                if (sale.reply) {
+                    npc.reply(sale.reply);
+                }
+                game.printInformation('You buy ' + item.getTitle() + ' for ' + game.describePrice(sale.price) + '.');
+                npc.handOver(item.id);
+                game.setLastReferenced(item);
+                game.emit('itemBought', {npc: npc, item: item, price: sale.price});
+            }),
+            // List what an NPC has for sale
+            trade = new RegexCallbackCommand('trade', null, 'trade with &lt;<span class="command">NPC</span>&gt; - see what an NPC has for sale, e.g "trade with waiter"', function (commandText, npcName) {
+                var npc,
+                    list;
+                
+                npcName = npcName.replace(/^with\s+/i, '');
+                npc = this.game.findEntity(npcName, [this.game.currentLocation.npcs]);
+                if (npc === null) {
+                    return;
+                }
+                if (!npc) {
+                    this.game.printError('Can\'t find: "' + npcName + '"');
+                    return;
+                }
+                this.game.setLastReferenced(npc);
+                list = npc.getSalesList();
+                if (list) {
+                    this.game.printInformation(npc.getTitle() + ' has for sale:<br/>' + list);
+                } else {
+                    npc.reply('I don\'t have anything to sell.');
+                }
+            }),
+            // Follow an NPC who has just left the current location
+            follow = new RegexCallbackCommand('follow', null, 'follow &lt;<span class="command">NPC</span>&gt; - follow an NPC who has just left, e.g "follow suspect"', function (commandText, npcName) {
+                var location = this.game.currentLocation,
+                    npc,
+                    exit;
+                
+                npc = this.game.findEntity(npcName, [this.game.npcs]);
+                if (npc === null) {
+                    return;
+                }
+                if (!npc) {
+                    this.game.printError('Can\'t find: "' + npcName + '"');
+                } else if (location.npcs.getItem(npc.id)) {
+                    this.game.setLastReferenced(npc);
+                    this.game.printError(npc.getTitle() + ' is right here.');
+                } else if (!npc.lastDeparture || npc.lastDeparture.from !== location.id) {
+                    this.game.printError('You don\'t know where ' + npc.getTitle() + ' went.');
+                } else {
+                    this.game.setLastReferenced(npc);
+                    exit = location.getExitTo(npc.lastDeparture.to);
+                    if (!exit || exit.hidden) {
+                        this.game.printError('You can\'t follow ' + npc.getTitle() + ' that way.');
+                    } else {
+                        this.game.goThrough(exit);
+                    }
+                }
+            }),
+            // Describe locations on every visit, in full unless they have a description for return visits
+            verbose = new CallbackCommand('verbose', 'verbose - describe a location every time you visit it', function () {
+                this.game.descriptionMode = 'verbose';
+                this.game.printInformation('Locations will be described every time you visit them, even if you have been there before.');
+            }),
+            // Keep descriptions short when returning to a location, or leave them out
+            brief = new CallbackCommand('brief', 'brief - only show the full description of a location the first time you visit it', function () {
+                this.game.descriptionMode = 'brief';
+                this.game.printInformation('Locations will only be described in full on your first visit. Type "<span class="command">look</span>" to see the full description.');
+            }),
+            // Save the game in a named slot
+            save = new CallbackCommand('save', 'save &lt;slot&gt; - save the game so it can be restored later, e.g "save before-lift"', function (commandText, commandParts) {
+                var slot = commandParts.slice(1).join(' ').trim();
+                
+                if (slot.length === 0) {
+                    this.game.printError('Usage:<br/>' + this.getDescription());
+                } else {
+                    try {
+                        this.game.save(slot);
+                        this.game.printInformation('Game saved in slot "' + slot + '"');
+                    } catch (e) {
+                        this.game.printError('Unable to save the game: ' + e);
+                    }
+                }
+            }),
+            // Restore the game from a named slot
+            restore = new CallbackCommand('restore', 'restore &lt;slot&gt; - restore a previously saved game, e.g "restore before-lift"', function (commandText, commandParts) {
+                var slot = commandParts.slice(1).join(' ').trim();
+                
+                if (slot.length === 0) {
+                    this.game.printError('Usage:<br/>' + this.getDescription());
+                } else {
+                    try {
+                        if (this.game.restore(slot)) {
+                            this.game.printInformation('Game restored from slot "' + slot + '"');
+                            this.game.displayCurrentLocationInfo();
+                        } else {
+                            this.game.printError('Nothing has been saved in slot "' + slot + '"');
+                        }
+                    } catch (e) {
+                        this.game.printError('Unable to restore the game: ' + e);
+                    }
+                }
+            }),
+            // List the saved games
+            saves = new CallbackCommand('saves', 'saves - list the saved games that can be restored', function () {
+                var slots,
+                    slot,
+                    message,
+                    found;
+                
+                try {
+                    slots = this.game.getSaves();
+                } catch (e) {
+                    this.game.printError('Unable to list saved games: ' + e);
+                    return;
+                }
+                message = 'Saved games:<br/>';
+                found = false;
+                for (slot in slots) {
+                    if (slots.hasOwnProperty(slot)) {
+                        found = true;
+                        message += '<span class="command">' + slot + '</span> - ' + new Date(slots[slot].savedAt).toLocaleString() + '<br/>';
+                    }
+                }
+                if (!found) {
+                    message += 'You haven\'t saved any games yet.';
+                }
+                this.game.printInformation(message);
+            }),
+            // Step back through the turns taken, and forward again
+            undo = new CallbackCommand('undo', 'undo - take back your last move', function () {
+                var commandText = this.game.undo();
+                
+                if (commandText === undefined) {
+                    this.game.printError('There is nothing to undo.');
+                } else {
+                    this.game.printInformation('Undone "' + commandText + '"');
+                    this.game.displayCurrentLocationInfo(false);
+                }
+            }),
+            redo = new CallbackCommand('redo', 'redo - make the last move you undid again', function () {
+                var commandText = this.game.redo();
+                
+                if (commandText === undefined) {
+                    this.game.printError('There is nothing to redo.');
+                } else {
+                    this.game.printInformation('Redone "' + commandText + '"');
+                    this.game.displayCurrentLocationInfo(false);
+                }
+            }),
+            // Show the player's score, rank and achievements
+            score = new CallbackCommand('score', 'score - show your score and the achievements you have unlocked', function () {
+                var scoreboard = this.game.scoreboard,
+                    achievements = scoreboard.getAchievements(),
+                    rank = scoreboard.getRank(),
+                    message,
+                    i;
+                
+                if (!scoreboard.hasAwards()) {
+                    this.game.printInformation('This story doesn\'t keep score.');
+                    return;
+                }
+                message = 'You have scored ' + scoreboard.getScore() + ' of ' + scoreboard.getMaxScore() + ' points';
+                message += (rank ? ', giving you the rank of "' + rank + '".' : '.') + '<br/>';
+                if (achievements.length > 0) {
+                    message += 'Achievements:<br/>';
+                    for (i = 0; i < achievements.length; i += 1) {
+                        message += achievements[i].title + (achievements[i].description ? ' - ' + achievements[i].description : '') + '<br/>';
+                    }
+                } else {
+                    message += 'You haven\'t unlocked any achievements yet.';
+                }
+                this.game.printInformation(message);
             });
         
-        // TODO: Other standard interactions like give, combine...
+        go.slots = enter.slots = [{kinds: ['exits']}];
+        take.slots = [{kinds: ['nearby']}, {preposition: 'from', kinds: ['items'], optional: true}];
+        open.slots = close.slots = lookIn.slots = turnOn.slots = turnOff.slots = [{kinds: ['items']}];
+        put.slots = [{kinds: ['carried']}, {preposition: 'in', kinds: ['items']}];
+        lock.slots = [{kinds: ['items']}, {preposition: 'with', kinds: ['carried']}];
+        use.slots = [{kinds: ['items']}, {preposition: 'on', kinds: ['items', 'npcs', 'exits'], optional: true}];
+        combine.slots = [{kinds: ['items']}, {preposition: 'with', kinds: ['items']}];
+        drop.slots = [{kinds: ['carried']}];
+        ask.slots = tell.slots = [{kinds: ['npcs']}, {preposition: 'about', kinds: ['text']}];
+        talk.slots = [{kinds: ['npcs']}, {preposition: 'about', kinds: ['text'], optional: true}];
+        give.slots = [{kinds: ['carried']}, {preposition: 'to', kinds: ['npcs']}];
+        buy.slots = [{kinds: ['text']}, {preposition: 'from', kinds: ['npcs'], optional: true}];
+        trade.slots = [{kinds: ['npcs']}];
+        follow.slots = [{kinds: ['departed']}];
+        save.slots = restore.slots = [{kinds: ['text']}];
+        supergo.slots = supertake.slots = undefined;
+        
+        help.takesTurn = verbose.takesTurn = brief.takesTurn = save.takesTurn = restore.takesTurn = saves.takesTurn = undo.takesTurn = redo.takesTurn = score.takesTurn = false;
         
-        return [help, go, enter, examine, take, use, drop, inventory, look, ask, tell, talk, give, supergo, supertake];
+        return [help, go, enter, examine, take, put, open, close, lock, use, combine, turnOn, turnOff, drop, inventory, look, lookIn, ask, tell, talk, give, buy, trade, follow, verbose, brief, save, restore, saves, undo, redo, score, supergo, supertake];
     };
     
     /*
      * Base entity that provides a starting point for functionality relating to in-game entities that the player can
      * interact with, namely items, locations and NPCs
-     * Provides the ability to have static or dynamic titles and descriptions, and to have primitive scheduled behaviour
-     * used a simple timer (a single timer is shared across all entities).
+     * Provides the ability to have static or dynamic titles and descriptions, and to have scheduled behaviour: the
+     * onTickCallback is called with the game every turn, or every tickInterval milliseconds when the game's wall clock
+     * is running (see Scheduler).
      */
     BaseEntity = function (id, title, description, onTickCallback, tickInterval) {
         this.id = id;
@@ -790,16 +4402,94 @@ var AdventureMachine = (function ($) {
         this.onTickCallback = onTickCallback;
         this.tickInterval = tickInterval;
         this.game = undefined;
+        // Other nouns the player can use for the entity, e.g. "torch" for a flashlight
+        this.aliases = [];
+        // Words that describe the entity, so the player can tell similar ones apart, e.g. "brass" for a brass key
+        this.adjectives = [];
     };
-    BaseEntity.prototype.getDescription = function () {
-        var description;
-        if (this.description instanceof Function) {
-            description = this.description.call(this);
-        } else {
-            description = this.description;
+    BaseEntity.prototype.addAliases = function (aliases) {
+        this.aliases = this.aliases.concat(aliases || []);
+    };
+    BaseEntity.prototype.addAdjectives = function (adjectives) {
+        this.adjectives = this.adjectives.concat(adjectives || []);
+    };
+    /*
+     * Score how well the name the player typed refers to this entity, from 0 (not at all) to 100 (the exact title).
+     * In order of preference, the name can be the title, an alias, either of those typed with different spacing (e.g.
+     * "key card" for "Keycard"), or a combination of words from the title, aliases and adjectives (e.g. "guard" or
+     * "aging guard" for "Security Guard"). Longer words can contain small typos.
+     */
+    BaseEntity.prototype.matchName = function (name) {
+        var title = (this.getTitle() || '').toLowerCase(),
+            names = [title],
+            nameWords = [],
+            words,
+            compact,
+            exactWords = 0,
+            mentioned = 0,
+            word,
+            best,
+            distance,
+            i,
+            j;
+        
+        name = name.trim().toLowerCase().replace(/\s+/g, ' ');
+        if (name.length === 0) {
+            return 0;
+        }
+        if (name === title) {
+            return 100;
+        }
+        
+        for (i = 0; i < this.aliases.length; i += 1) {
+            names.push(this.aliases[i].toLowerCase());
+            if (name === this.aliases[i].toLowerCase()) {
+                return 90;
+            }
+        }
+        
+        compact = name.replace(/[\s\-]/g, '');
+        for (i = 0; i < names.length; i += 1) {
+            if (compact === names[i].replace(/[\s\-]/g, '')) {
+                return 85;
+            }
+            nameWords = nameWords.concat(names[i].split(/[\s\-]+/));
+        }
+        for (i = 0; i < this.adjectives.length; i += 1) {
+            nameWords.push(this.adjectives[i].toLowerCase());
+        }
+        
+        // Every word typed has to match one of the entity's words, allowing for typos
+        words = name.split(' ');
+        for (i = 0; i < words.length; i += 1) {
+            best = undefined;
+            for (j = 0; j < nameWords.length; j += 1) {
+                distance = editDistance(words[i], nameWords[j]);
+                if (distance <= typoTolerance(nameWords[j]) && (best === undefined || distance < best)) {
+                    best = distance;
+                }
+            }
+            if (best === undefined) {
+                return 0;
+            }
+            if (best === 0) {
+                exactWords += 1;
+            }
+        }
+        
+        // Prefer entities where more of the title was mentioned, so "gold key" is a better match for "Gold Key" than "Key Ring"
+        words = title.split(/[\s\-]+/);
+        for (i = 0; i < words.length; i += 1) {
+            word = words[i];
+            if (name.split(' ').indexOf(word) >= 0) {
+                mentioned += 1;
+            }
         }
         
-        return description;
+        return 50 + Math.round(20 * exactWords / name.split(' ').length + 9 * mentioned / words.length);
+    };
+    BaseEntity.prototype.getDescription = function () {
+        return this.resolveText(this.description);
     };
     BaseEntity.prototype.getTitle = function () {
         var title;
@@ -811,6 +4501,28 @@ var AdventureMachine = (function ($) {
         
         return title;
     };
+    /*
+     * Text such as descriptions can be static, a function that returns the text, or a list of variants of the form
+     * {condition: 'flag:generatorFixed', text: '...'}. The first variant whose condition passes is used, so a variant
+     * without a condition at the end acts as the default. See Game.evaluateCondition.
+     */
+    BaseEntity.prototype.resolveText = function (text) {
+        var i;
+        
+        if (text instanceof Function) {
+            return this.resolveText(text.call(this));
+        }
+        if (text instanceof Array) {
+            for (i = 0; i < text.length; i += 1) {
+                if (!this.game || this.game.evaluateCondition(text[i].condition)) {
+                    return this.resolveText(text[i].text);
+                }
+            }
+            return undefined;
+        }
+        
+        return text;
+    };
     
     /*
      * Define NPCs, (non-player) characters that can be interacted with in-game.
@@ -824,26 +4536,56 @@ var AdventureMachine = (function ($) {
         this.onGiveCallback = onGiveCallback;
         this.onUseCallback = onUseCallback;
         this.currentTopic = undefined;
+        // Conversation used when the player talks to the NPC without a topic, see Dialogue
+        this.dialogue = undefined;
+        // What the NPC knows about, see NPC.addTopics
+        this.topics = [];
+        // The reply when asked or told about something the NPC doesn't know about
+        this.defaultReply = undefined;
+        // The number of times each topic has come up, and the topics that other topics have unlocked, by topic id
+        this.askedTopics = {};
+        this.unlockedTopics = {};
+        // How the NPC moves around, see NPC.setMovement
+        this.movement = undefined;
+        // The NPC's place on their route, and the last move they were seen making, i.e. {from, to} location ids
+        this.routePosition = 0;
+        this.lastDeparture = undefined;
+        // The items the NPC is carrying, and the ids of the ones they start with
+        this.inventory = new Inventory();
+        this.itemCodes = [];
+        // The items the NPC will accept from the player, and the items they sell, see NPC.addAcceptedItems and addSales
+        this.acceptedItems = [];
+        this.sales = [];
     };
     NPC.prototype = new BaseEntity();
     NPC.prototype.constructor = NPC;
+    // Say something to the player, the text can have variants, see BaseEntity.resolveText
     NPC.prototype.reply = function (text) {
-        this.game.printMessage('<span class="location">' + this.getTitle() + '</span>: ' + text);
+        this.game.printMessage('<span class="location">' + this.getTitle() + '</span>: ' + this.resolveText(text));
     };
+    // Answer a question from the NPC's topics, falling back to the onAsk callback and then the default reply
     NPC.prototype.onAsk = function (topic) {
+        var known = this.findTopic(topic);
+        
         this.currentTopic = topic;
-        if (this.onAskCallback && this.onAskCallback instanceof Function) {
+        if (known) {
+            this.discuss(known);
+        } else if (this.onAskCallback && this.onAskCallback instanceof Function) {
             this.onAskCallback.apply(this, arguments);
         } else {
-            this.reply('I don\'t know anything about that.');
+            this.reply(this.defaultReply || 'I don\'t know anything about that.');
         }
     };
     NPC.prototype.onTell = function (topic) {
+        var known = this.findTopic(topic);
+        
         this.currentTopic = topic;
-        if (this.onTellCallback && this.onTellCallback instanceof Function) {
+        if (known) {
+            this.discuss(known);
+        } else if (this.onTellCallback && this.onTellCallback instanceof Function) {
             this.onTellCallback.apply(this, arguments);
         } else {
-            this.reply('I don\'t know anything about that.');
+            this.reply(this.defaultReply || 'I don\'t know anything about that.');
         }
     };
     NPC.prototype.onTalk = function (topic) {
@@ -854,37 +4596,118 @@ var AdventureMachine = (function ($) {
             this.reply('Can I help you?');
         }
     };
-    NPC.prototype.onGive = function () {
-        if (this.onGiveCallback && this.onGiveCallback instanceof Function) {
-            this.onGiveCallback.apply(this, arguments);
+    /*
+     * Offer the NPC an item from the player's inventory, returns true if they accept it and take it. Items listed by
+     * addAcceptedItems are accepted, otherwise the onGive callback is asked and accepts the item by returning true.
+     */
+    NPC.prototype.onGive = function (item) {
+        var accepted = this.getAcceptedItem(item),
+            taken;
+        
+        if (accepted) {
+            this.reply(accepted.reply || 'Thank you.');
+            taken = true;
+        } else if (this.onGiveCallback && this.onGiveCallback instanceof Function) {
+            taken = this.onGiveCallback.apply(this, arguments) === true;
         } else {
             this.reply('No thanks.');
+            taken = false;
+        }
+        
+        if (taken) {
+            this.game.inventory.removeItem(item.id);
+            this.inventory.addItem(item);
+            if (accepted) {
+                this.game.applyEffects(accepted.effects, this);
+            }
+        }
+        
+        return taken;
+    };
+    /*
+     * Add items the NPC will accept from the player, e.g.
+     * {"item": "sandwich", "reply": "Thanks, I'm starving.", "effects": [{"giveItem": "keycard"}]}
+     * Each can have a "condition" (see Game.evaluateCondition) and effects (see Game.applyEffects).
+     */
+    NPC.prototype.addAcceptedItems = function (acceptedItems) {
+        this.acceptedItems = this.acceptedItems.concat(acceptedItems || []);
+    };
+    NPC.prototype.getAcceptedItem = function (item) {
+        var i;
+        
+        for (i = 0; i < this.acceptedItems.length; i += 1) {
+            if (this.acceptedItems[i].item === item.id && (!this.game || this.game.evaluateCondition(this.acceptedItems[i].condition))) {
+                return this.acceptedItems[i];
+            }
+        }
+    };
+    // Hand one of the NPC's items to the player, see Game.receiveItem, returns false if the NPC doesn't have it
+    NPC.prototype.handOver = function (itemId) {
+        var item = this.inventory.getItem(itemId);
+        
+        if (!item) {
+            return false;
+        }
+        this.inventory.removeItem(itemId);
+        this.game.receiveItem(item);
+        
+        return true;
+    };
+    /*
+     * Add items the NPC sells, which have to be in their inventory, e.g.
+     * {"item": "coffee", "price": 2, "reply": "Careful, it's hot."} or {"item": "map", "price": "gold-coin"}
+     * A price is either an amount of the game's currency, a counter in the game's variables named by the "currency"
+     * in the story (e.g. {"variable": "money", "singular": "pound", "plural": "pounds"}), or the id of an item that
+     * the player hands over in exchange.
+     */
+    NPC.prototype.addSales = function (sales) {
+        this.sales = this.sales.concat(sales || []);
+    };
+    NPC.prototype.getSale = function (itemId) {
+        var i;
+        
+        for (i = 0; i < this.sales.length; i += 1) {
+            if (this.sales[i].item === itemId && this.inventory.getItem(itemId)) {
+                return this.sales[i];
+            }
         }
     };
+    // The items the NPC has for sale, with their prices
+    NPC.prototype.getSalesList = function () {
+        var message = '',
+            i;
+        
+        for (i = 0; i < this.sales.length; i += 1) {
+            if (this.inventory.getItem(this.sales[i].item)) {
+                message += '<span class="command">' + this.inventory.getItem(this.sales[i].item).getTitle() + '</span> - ' + this.game.describePrice(this.sales[i].price) + '<br/>';
+            }
+        }
+        
+        return message;
+    };
     NPC.prototype.onUse = function () {
         if (this.onUseCallback && this.onUseCallback instanceof Function) {
-            this.onUseCallback.apply(this, arguments);
-        } else {
-            this.reply('What are you doing?');
+            return this.onUseCallback.apply(this, arguments);
         }
+        this.reply('What are you doing?');
+        
+        return false;
     };
-    // Performs some simple matching on the question being asked of the NPC
+    // Is the player speaking about any of the topics? They match as whole words, so "keyboard" isn't about "key"
     NPC.prototype.speakingAbout = function (topics) {
         var relevant,
             i,
-            topic,
             statement;
         
         relevant = false;
-        statement = (this.currentTopic || '').toUpperCase();
+        statement = this.currentTopic || '';
         if (topics instanceof Array === false) {
             topics = [topics];
         }
         
         if (topics && topics instanceof Array && statement && statement.trim().length > 0) {
             for (i = 0; i < topics.length && relevant === false; i += 1) {
-				topic = (topics[i] || '').toUpperCase();
-                if (statement.indexOf(topic) >= 0) {
+                if (containsWords(statement, topics[i] || '')) {
                     relevant = true;
                 }
             }
@@ -892,18 +4715,210 @@ var AdventureMachine = (function ($) {
         
         return relevant;
     };
+    /*
+     * Add topics the NPC can be asked or told about, e.g.
+     * {"id": "lift", "keywords": ["lift", "lifts", "elevator"], "reply": "You need a keycard.",
+     *  "repeatReply": "Like I said, you need a keycard.", "unlocks": ["keycard"]}
+     * Keywords are matched as whole words in what the player says. The reply the first time a topic comes up can differ
+     * from the "repeatReply" for later times, either can have variants (see BaseEntity.resolveText).
+     * Topics with "hidden": true can't be asked about until another topic unlocks them. Topics can also have a
+     * "title" to list them by, a "condition" and "effects" (see Game.applyEffects).
+     */
+    NPC.prototype.addTopics = function (topics) {
+        this.topics = this.topics.concat(topics || []);
+    };
+    NPC.prototype.isTopicAvailable = function (topic) {
+        return (topic.hidden !== true || this.unlockedTopics[topic.id] === true) && (!this.game || this.game.evaluateCondition(topic.condition));
+    };
+    // Find the available topic the statement is about, preferring the one with the longest matching keyword
+    NPC.prototype.findTopic = function (statement) {
+        var found,
+            longest = 0,
+            keywords,
+            i,
+            j;
+        
+        for (i = 0; i < this.topics.length; i += 1) {
+            keywords = this.topics[i].keywords || [this.topics[i].id];
+            for (j = 0; j < keywords.length; j += 1) {
+                if (keywords[j].length > longest && containsWords(statement, keywords[j]) && this.isTopicAvailable(this.topics[i])) {
+                    found = this.topics[i];
+                    longest = keywords[j].length;
+                }
+            }
+        }
+        
+        return found;
+    };
+    // Reply about a topic, remembering that it has come up and unlocking any topics it leads to
+    NPC.prototype.discuss = function (topic) {
+        var asked = this.askedTopics[topic.id] || 0,
+            i;
+        
+        this.reply(asked > 0 && topic.repeatReply !== undefined ? topic.repeatReply : topic.reply);
+        this.askedTopics[topic.id] = asked + 1;
+        for (i = 0; topic.unlocks && i < topic.unlocks.length; i += 1) {
+            this.unlockedTopics[topic.unlocks[i]] = true;
+        }
+        this.game.applyEffects(topic.effects, this);
+    };
+    NPC.prototype.getTopicTitle = function (topic) {
+        return topic.title || (topic.keywords && topic.keywords[0]) || topic.id;
+    };
+    // The titles of the available topics that have come up in conversation or been unlocked by other topics
+    NPC.prototype.getDiscoveredTopics = function () {
+        var titles = [],
+            topic,
+            i;
+        
+        for (i = 0; i < this.topics.length; i += 1) {
+            topic = this.topics[i];
+            if ((this.askedTopics[topic.id] || this.unlockedTopics[topic.id]) && this.isTopicAvailable(topic)) {
+                titles.push(this.getTopicTitle(topic));
+            }
+        }
+        
+        return titles;
+    };
+    /*
+     * Set how the NPC moves around, or pass undefined to keep them where they are. The movement is one of:
+     * - {"mode": "route", "route": ["atrium", "conferenceRoom"]}: walk the route, one location at a time, starting
+     *   from the first. The route repeats unless "loop" is false.
+     * - {"mode": "wander", "locations": ["atrium", "conferenceRoom"]}: take a random exit that isn't locked or hidden,
+     *   staying within the locations if they are listed. "chance" is the probability of moving, from 0 to 1.
+     * - {"mode": "follow"}: follow the player from location to location.
+     * Routes and wandering move the NPC every turn, or every "every" turns. Any mode can have a "condition" (see
+     * Game.evaluateCondition), and a "departureMessage" and "arrivalMessage" to show when the player sees them move.
+     */
+    NPC.prototype.setMovement = function (movement) {
+        this.movement = movement;
+        this.routePosition = 0;
+    };
+    // Where the NPC's movement takes them next from the provided location, undefined if they stay put
+    NPC.prototype.getNextLocationId = function (location) {
+        var movement = this.movement,
+            exits,
+            i;
+        
+        if (movement.mode === 'route' && movement.route && movement.route.length > 0) {
+            if (this.routePosition + 1 >= movement.route.length && movement.loop === false) {
+                return;
+            }
+            this.routePosition = (this.routePosition + 1) % movement.route.length;
+            return movement.route[this.routePosition];
+        }
+        if (movement.mode === 'wander' && location && Math.random() < (movement.chance === undefined ? 1 : movement.chance)) {
+            exits = [];
+            for (i = 0; i < location.exits.length; i += 1) {
+                if (!location.exits[i].locked && !location.exits[i].hidden && (!movement.locations || movement.locations.indexOf(location.exits[i].destinationLocationId) >= 0)) {
+                    exits.push(location.exits[i]);
+                }
+            }
+            if (exits.length > 0) {
+                return exits[Math.floor(Math.random() * exits.length)].destinationLocationId;
+            }
+        }
+    };
+    NPC.prototype.getState = function () {
+        return {
+            askedTopics: JSON.parse(JSON.stringify(this.askedTopics)),
+            unlockedTopics: JSON.parse(JSON.stringify(this.unlockedTopics)),
+            routePosition: this.routePosition,
+            lastDeparture: this.lastDeparture,
+            inventory: this.inventory.getItemIds()
+        };
+    };
+    NPC.prototype.setState = function (state, game) {
+        var i;
+        
+        if (state.inventory) {
+            this.inventory.clear();
+            for (i = 0; i < state.inventory.length; i += 1) {
+                this.inventory.addItem(game.availableItems.getItem(state.inventory[i]));
+            }
+        }
+        this.askedTopics = JSON.parse(JSON.stringify(state.askedTopics || {}));
+        this.unlockedTopics = JSON.parse(JSON.stringify(state.unlockedTopics || {}));
+        this.routePosition = state.routePosition || 0;
+        this.lastDeparture = state.lastDeparture;
+    };
+    // Give the NPC a dialogue tree, used when the player talks to them without a topic, see Dialogue
+    NPC.prototype.setDialogue = function (dialogue) {
+        this.dialogue = (dialogue && !(dialogue instanceof Dialogue)) ? new Dialogue(dialogue) : dialogue;
+    };
+    
+    /*
+     * Define the Dialogue class, a branching conversation with an NPC made up of nodes keyed by id, e.g.
+     * {"start": "hello", "nodes": {
+     *     "hello": {"text": "Evening.", "choices": [{"text": "Where is everyone?", "next": "party"},
+     *                                               {"text": "Got a key?", "next": "key", "condition": "!hasItem:key"},
+     *                                               {"text": "Goodbye.", "end": true}]},
+     *     "party": {"text": "No idea.", "effects": [{"setFlag": "askedAboutParty"}], "returnTo": "hello"},
+     *     "key": {"text": "Here you go.", "effects": [{"giveItem": "key"}], "end": true}}}
+     * Each node has the NPC's line, which can have variants (see BaseEntity.resolveText), and the choices offered to
+     * the player, numbered in order. Choices are only offered if their condition passes. Picking a choice moves to
+     * its "next" node, or ends the conversation if it doesn't have one. A node without choices ends the conversation
+     * unless it has a "returnTo" node, whose choices are offered again.
+     * Nodes and choices can have effects, see Game.applyEffects.
+     */
+    Dialogue = function (dialogueData) {
+        var nodeId;
+        
+        dialogueData = dialogueData || {};
+        this.nodes = dialogueData.nodes || {};
+        this.start = dialogueData.start;
+        if (this.start === undefined) {
+            for (nodeId in this.nodes) {
+                if (this.nodes.hasOwnProperty(nodeId)) {
+                    this.start = nodeId;
+                    break;
+                }
+            }
+        }
+    };
+    Dialogue.prototype.getNode = function (nodeId) {
+        return this.nodes.hasOwnProperty(nodeId) ? this.nodes[nodeId] : undefined;
+    };
+    // The choices from a node that can be offered to the player in the game's current state
+    Dialogue.prototype.getChoices = function (node, game) {
+        var choices = [],
+            i;
+        
+        for (i = 0; node && node.choices && i < node.choices.length; i += 1) {
+            if (game.evaluateCondition(node.choices[i].condition)) {
+                choices.push(node.choices[i]);
+            }
+        }
+        
+        return choices;
+    };
     
     
     /*
      * Define the Location class. Instances of this class will represent the various places in the active game that 
      * the user can explore.
+     * Options:
+     * - returnDescription: text (or a function returning it) shown instead of the description when the player comes
+     *   back. Without one, a return visit shows the full description again in verbose mode and none in brief mode
+     * - onEnter, onFirstVisit, onLeave: functions called with the game when the player arrives (onFirstVisit only the
+     *   first time) and leaves
+     * - onTick, tickInterval: the location's onTickCallback and tickInterval, see BaseEntity
+     * - dark: the player can't see the location's items or exits without a light, see Item.makeLightSource
+     * - darkDescription: shown instead of the description when it is dark
      */
-    Location = function (id, title, description, exits, itemCodes, npcCodes) {
+    Location = function (id, title, description, exits, itemCodes, npcCodes, options) {
         var i,
             exit;
         
-        BaseEntity.call(this, id, title, description);
+        options = options || {};
+        BaseEntity.call(this, id, title, description, options.onTick, options.tickInterval);
         
+        this.returnDescription = options.returnDescription;
+        this.onEnterCallback = options.onEnter;
+        this.onFirstVisitCallback = options.onFirstVisit;
+        this.onLeaveCallback = options.onLeave;
+        this.dark = options.dark === true;
+        this.darkDescription = options.darkDescription;
         this.exits = [];
         this.itemCodes = itemCodes || [];
         this.items = new Inventory();
@@ -915,11 +4930,7 @@ var AdventureMachine = (function ($) {
             for (i = 0; i < exits.length; i += 1) {
                 exit = exits[i];
                 if (exit instanceof Array && exit.length >= 2) {
-                    //onExitCallback = undefined;
-                    if (exit.length >= 3) {
-                        //onExitCallback = exit[2];
-                    }
-                    this.addExit(exit[0], exit[1], exit[2]);
+                    this.addExit(exit[0], exit[1], exit[2], exit[3]);
                 } else if (exit instanceof Exit) {
                     this.exits.push(exit);
                 }
@@ -928,8 +4939,9 @@ var AdventureMachine = (function ($) {
     };
     Location.prototype = new BaseEntity();
     Location.prototype.constructor = Location;
-    Location.prototype.addExit = function (exitName, destinationLocationId) {
-        this.exits.push(new Exit(exitName, destinationLocationId));
+    // Add an exit, see Exit for the callback and options
+    Location.prototype.addExit = function (exitName, destinationLocationId, onExitCallback, options) {
+        this.exits.push(new Exit(exitName, destinationLocationId, onExitCallback, options));
     };
     // Find the Exit instance with the provided on-screen name
     Location.prototype.getExit = function (exitName) {
@@ -946,6 +4958,30 @@ var AdventureMachine = (function ($) {
         
         return exit;
     };
+    // Find an exit the player knows about, i.e. one that isn't hidden
+    Location.prototype.getVisibleExit = function (exitName) {
+        var exit = this.getExit(exitName);
+        
+        return (exit && !exit.hidden) ? exit : undefined;
+    };
+    Location.prototype.getVisibleExits = function () {
+        return this.exits.filter(function (exit) {
+            return !exit.hidden;
+        });
+    };
+    // The exit that leads to the provided location, preferring one the player can see
+    Location.prototype.getExitTo = function (locationId) {
+        var found,
+            i;
+        
+        for (i = 0; i < this.exits.length; i += 1) {
+            if (this.exits[i].destinationLocationId === locationId && (!found || found.hidden)) {
+                found = this.exits[i];
+            }
+        }
+        
+        return found;
+    };
     Location.prototype.getCommands = function () {
         return [];
     };
@@ -958,19 +4994,178 @@ var AdventureMachine = (function ($) {
     Location.prototype.incrementVisits = function () {
         this.visits += 1;
     };
+    // The description to show when the player comes back, if there is one
+    Location.prototype.getReturnDescription = function () {
+        return this.resolveText(this.returnDescription);
+    };
+    Location.prototype.getDarkDescription = function () {
+        return this.resolveText(this.darkDescription) || 'It is pitch dark. You can\'t see a thing.';
+    };
+    Location.prototype.onEnter = function (game) {
+        if (this.visits === 1 && this.onFirstVisitCallback instanceof Function) {
+            this.onFirstVisitCallback.call(this, game);
+        }
+        if (this.onEnterCallback instanceof Function) {
+            this.onEnterCallback.call(this, game);
+        }
+    };
+    Location.prototype.onLeave = function (game) {
+        if (this.onLeaveCallback instanceof Function) {
+            this.onLeaveCallback.call(this, game);
+        }
+    };
+    // The parts of the location that can change during play, see Game.getState
+    Location.prototype.getState = function () {
+        var exits = [],
+            i;
+        
+        for (i = 0; i < this.exits.length; i += 1) {
+            exits.push([this.exits[i].exitName, this.exits[i].destinationLocationId, this.exits[i].getState()]);
+        }
+        
+        return {
+            items: this.items.getItemIds(),
+            npcs: this.npcs.getItemIds(),
+            exits: exits,
+            visits: this.visits,
+            dark: this.dark
+        };
+    };
+    // Restore the location from the output of getState. Existing Exit instances are kept where they still apply, so
+    // any callbacks they have survive, while exits added at runtime are recreated from their saved options.
+    Location.prototype.setState = function (state, game) {
+        var exits = [],
+            exit,
+            i;
+        
+        this.items.clear();
+        for (i = 0; i < state.items.length; i += 1) {
+            this.items.addItem(game.availableItems.getItem(state.items[i]));
+        }
+        this.npcs.clear();
+        for (i = 0; i < state.npcs.length; i += 1) {
+            this.npcs.addItem(game.npcs.getItem(state.npcs[i]));
+        }
+        
+        for (i = 0; i < state.exits.length; i += 1) {
+            exit = this.getExit(state.exits[i][0]);
+            if (!exit || exit.destinationLocationId !== state.exits[i][1]) {
+                exit = new Exit(state.exits[i][0], state.exits[i][1], state.exits[i][2] || {});
+            } else if (state.exits[i][2]) {
+                exit.locked = state.exits[i][2].locked;
+                exit.hidden = state.exits[i][2].hidden;
+            }
+            exits.push(exit);
+        }
+        this.exits = exits;
+        this.visits = state.visits;
+        if (state.dark !== undefined) {
+            this.dark = state.dark;
+        }
+    };
     
     /*
-     * Represents a tranition point between the current location and another
+     * Represents a tranition point between the current location and another.
+     * The onExitCallback is called with the game once the player has gone through the exit. Options can be passed in
+     * place of the callback, or after it:
+     * - locked: the player can't go through until it is unlocked, either by story code or using the key on it
+     * - key: the id of the item that unlocks the exit, e.g. "use key on door"
+     * - lockedMessage, unlockMessage: shown when the player tries a locked exit, and when they unlock it
+     * - onUnlock: function called with the game when the exit is unlocked
+     * - condition: the player can only go through when the condition passes, see Game.evaluateCondition
+     * - blockedMessage: shown when the condition isn't met
+     * - hidden: the exit isn't listed or usable until it is revealed
+     * - onBeforeExit: function called with the game before the player goes through, return false to stop them
      */
-    Exit = function (exitName, destinationLocationId, onExitCallback) {
+    Exit = function (exitName, destinationLocationId, onExitCallback, options) {
+        if (onExitCallback && !(onExitCallback instanceof Function)) {
+            options = onExitCallback;
+            onExitCallback = undefined;
+        }
+        options = options || {};
+        
         this.exitName = exitName;
         this.destinationLocationId = destinationLocationId;
         this.onExitCallback = onExitCallback;
+        this.onBeforeExitCallback = options.onBeforeExit;
+        this.locked = options.locked === true;
+        this.key = options.key;
+        this.lockedMessage = options.lockedMessage;
+        this.unlockMessage = options.unlockMessage;
+        this.onUnlockCallback = options.onUnlock;
+        this.condition = options.condition;
+        this.blockedMessage = options.blockedMessage;
+        this.hidden = options.hidden === true;
+    };
+    Exit.prototype.getTitle = function () {
+        return this.exitName;
+    };
+    // The options that can change during play or be saved, see Location.getState. Functions can't be saved, so only a
+    // condition expression is kept and an exit added at runtime loses any callbacks when it is restored.
+    Exit.prototype.getState = function () {
+        return {
+            locked: this.locked,
+            hidden: this.hidden,
+            key: this.key,
+            lockedMessage: this.lockedMessage,
+            unlockMessage: this.unlockMessage,
+            condition: (typeof this.condition === 'string') ? this.condition : undefined,
+            blockedMessage: this.blockedMessage
+        };
+    };
+    // The reason the player can't go through the exit right now, or undefined if they can
+    Exit.prototype.getBlockedMessage = function (game) {
+        if (this.locked) {
+            return this.lockedMessage || 'The way ' + this.exitName + ' is locked.';
+        }
+        if (this.condition && !game.evaluateCondition(this.condition)) {
+            return this.blockedMessage || 'You can\'t go ' + this.exitName + ' right now.';
+        }
+        
+        return undefined;
+    };
+    Exit.prototype.lock = function () {
+        this.locked = true;
     };
-    Exit.prototype.onExit = function () {
+    // Unlock the exit, passing the game lets any onUnlock callback and the game's event handlers know about it
+    Exit.prototype.unlock = function (game) {
+        this.locked = false;
+        if (game && this.onUnlockCallback instanceof Function) {
+            this.onUnlockCallback.call(this, game);
+        }
+        if (game) {
+            game.emit('exitUnlocked', {exit: this, location: game.getExitLocation(this)});
+        }
+    };
+    Exit.prototype.reveal = function () {
+        this.hidden = false;
+    };
+    // Called before the player goes through the exit, returns false if the move should be stopped
+    Exit.prototype.onBeforeExit = function (game) {
+        if (this.onBeforeExitCallback && this.onBeforeExitCallback instanceof Function) {
+            return this.onBeforeExitCallback.call(this, game) !== false;
+        }
+        
+        return true;
+    };
+    Exit.prototype.onExit = function (game) {
         if (this.onExitCallback && this.onExitCallback instanceof Function) {
-            this.onExitCallback.call(this);
+            this.onExitCallback.call(this, game);
+        }
+    };
+    // The player has used an item on the exit, which unlocks it if the item is the key
+    Exit.prototype.onUse = function (item, game) {
+        if (!this.locked) {
+            game.printError('The way ' + this.exitName + ' isn\'t locked.');
+        } else if (this.key !== item.id) {
+            game.printError('You can\'t unlock the way ' + this.exitName + ' with ' + item.getTitle() + '.');
+        } else {
+            game.printMessage(this.unlockMessage || 'You unlock the way ' + this.exitName + ' with ' + item.getTitle() + '.');
+            this.unlock(game);
+            return true;
         }
+        
+        return false;
     };
     
     /*
@@ -983,15 +5178,30 @@ var AdventureMachine = (function ($) {
         this.game = undefined;
         this.usable = (usable === undefined) ? true : usable;
         this.collectable = (collectable === undefined) ? true : collectable;
+        // The items inside the item, if it is a container, and the ids of the ones it starts with, see makeContainer
+        this.contents = undefined;
+        this.itemCodes = [];
+        // Whether the item gives off light when it is on, see makeLightSource
+        this.lightSource = false;
+        this.on = false;
+        // How heavy and how big the item is, counted against the player's carrying capacity and containers' capacity
+        this.weight = 1;
+        this.bulk = 1;
     };
     Item.prototype = new BaseEntity();
     Item.prototype.constructor = Item;
+    // Use the item, callbacks return true when the item was used and false when it couldn't be used that way. Without a callback, nothing
+    // happens unless the item is used on an NPC who reacts to it.
     Item.prototype.onUse = function (target) {
         if (this.onUseCallback) {
-            this.onUseCallback.apply(this, arguments);
-        } else if (target && target instanceof NPC) {
-            target.onUse();
+            return this.onUseCallback.apply(this, arguments);
+        }
+        if (target && target instanceof NPC) {
+            return target.onUse();
         }
+        this.game.printError('Nothing happens.');
+        
+        return false;
     };
     // Can the item be picked up and added to the player's inventory? E.g. flashlight: yes, filing cabinet: no
     Item.prototype.isCollectable = function () {
@@ -1001,6 +5211,236 @@ var AdventureMachine = (function ($) {
     Item.prototype.isUsable = function () {
         return this.usable;
     };
+    /*
+     * Turn the item into a container, which the player can look in, take items from and put items in. Options:
+     * - contents: the ids of the items it starts with
+     * - openable: whether it can be opened and closed, true by default. Containers that can't be are always open
+     * - open: whether it starts open, false by default for containers that can be opened
+     * - locked, key: the container can't be opened until it is unlocked with the key, e.g. "use small key on drawer"
+     * - capacity: the total bulk of the items it can hold, see Item.bulk
+     * - condition: its contents can only be seen and reached when the condition passes, see Game.evaluateCondition
+     * - hiddenMessage: shown when the condition isn't met
+     * - lockedMessage, openMessage, closeMessage, unlockMessage: shown instead of the default messages
+     */
+    Item.prototype.makeContainer = function (options) {
+        options = options || {};
+        
+        this.contents = new Inventory();
+        this.itemCodes = (options.contents || []).slice();
+        this.openable = options.openable !== false;
+        this.open = !this.openable || options.open === true;
+        this.locked = options.locked === true;
+        this.key = options.key;
+        this.capacity = options.capacity;
+        this.condition = options.condition;
+        this.hiddenMessage = options.hiddenMessage;
+        this.lockedMessage = options.lockedMessage;
+        this.openMessage = options.openMessage;
+        this.closeMessage = options.closeMessage;
+        this.unlockMessage = options.unlockMessage;
+    };
+    Item.prototype.isContainer = function () {
+        return this.contents !== undefined;
+    };
+    // Is there enough room left in the container for the item?
+    Item.prototype.hasRoomFor = function (item) {
+        return this.capacity === undefined || getTotal(this.contents, 'bulk') + item.bulk <= this.capacity;
+    };
+    // The weight of the item, including anything inside it
+    Item.prototype.getTotalWeight = function () {
+        return this.weight + (this.isContainer() ? getTotal(this.contents, 'weight') : 0);
+    };
+    // Is the item inside this container, or inside a container within it?
+    Item.prototype.holds = function (item) {
+        var ids = this.contents.getItemIds(),
+            i;
+        
+        for (i = 0; i < ids.length; i += 1) {
+            if (this.contents.getItem(ids[i]) === item || (this.contents.getItem(ids[i]).isContainer() && this.contents.getItem(ids[i]).holds(item))) {
+                return true;
+            }
+        }
+        
+        return false;
+    };
+    // The reason the player can't see or reach the container's contents right now, or undefined if they can
+    Item.prototype.getClosedMessage = function (game) {
+        if (!this.open) {
+            return this.locked ? (this.lockedMessage || this.getTitle() + ' is locked.') : this.getTitle() + ' is closed.';
+        }
+        if (this.condition && !game.evaluateCondition(this.condition)) {
+            return this.hiddenMessage || 'You can\'t see inside ' + this.getTitle() + '.';
+        }
+        
+        return undefined;
+    };
+    // Describe what the player can see inside the container
+    Item.prototype.describeInside = function (game) {
+        var ids,
+            message,
+            i;
+        
+        if (this.getClosedMessage(game)) {
+            return this.getClosedMessage(game);
+        }
+        ids = this.contents.getItemIds();
+        if (ids.length === 0) {
+            return this.getTitle() + ' is empty.';
+        }
+        message = this.getTitle() + ' contains:<br/>';
+        for (i = 0; i < ids.length; i += 1) {
+            message += game.linkEntity('item', ids[i], this.contents.getItem(ids[i]).getTitle()) + game.describeContents(this.contents.getItem(ids[i])) + '<br/>';
+        }
+        
+        return message;
+    };
+    // Open the container, printing what the player finds, returns false if it couldn't be opened
+    Item.prototype.openContainer = function (game) {
+        if (!this.isContainer() || !this.openable) {
+            game.printError(this.isContainer() ? this.getTitle() + ' doesn\'t need opening.' : 'You can\'t open ' + this.getTitle() + '.');
+        } else if (this.open) {
+            game.printError(this.getTitle() + ' is already open.');
+        } else if (this.locked) {
+            game.printError(this.lockedMessage || this.getTitle() + ' is locked.');
+        } else {
+            this.open = true;
+            game.printMessage(this.openMessage || 'You open ' + this.getTitle() + '.');
+            game.printInformation(this.describeInside(game));
+            return true;
+        }
+        
+        return false;
+    };
+    // Close the container, returns false if it couldn't be closed
+    Item.prototype.closeContainer = function (game) {
+        if (!this.isContainer() || !this.openable) {
+            game.printError('You can\'t close ' + this.getTitle() + '.');
+        } else if (!this.open) {
+            game.printError(this.getTitle() + ' is already closed.');
+        } else {
+            this.open = false;
+            game.printMessage(this.closeMessage || 'You close ' + this.getTitle() + '.');
+            return true;
+        }
+        
+        return false;
+    };
+    // The player has used an item on the container, which unlocks it if the item is the key
+    Item.prototype.onUseKey = function (item, game) {
+        if (!this.locked) {
+            game.printError(this.getTitle() + ' isn\'t locked.');
+        } else if (this.key !== item.id) {
+            game.printError('You can\'t unlock ' + this.getTitle() + ' with ' + item.getTitle() + '.');
+        } else {
+            this.locked = false;
+            game.printMessage(this.unlockMessage || 'You unlock ' + this.getTitle() + ' with ' + item.getTitle() + '.');
+            return true;
+        }
+        
+        return false;
+    };
+    // Lock the container again with its key, returns false if it couldn't be locked
+    Item.prototype.lockWith = function (item, game) {
+        if (!this.isContainer() || !this.key) {
+            game.printError('You can\'t lock ' + this.getTitle() + '.');
+        } else if (this.locked) {
+            game.printError(this.getTitle() + ' is already locked.');
+        } else if (this.key !== item.id) {
+            game.printError('You can\'t lock ' + this.getTitle() + ' with ' + item.getTitle() + '.');
+        } else if (this.open) {
+            game.printError('You need to close ' + this.getTitle() + ' first.');
+        } else {
+            this.locked = true;
+            game.printMessage('You lock ' + this.getTitle() + ' with ' + item.getTitle() + '.');
+            return true;
+        }
+        
+        return false;
+    };
+    /*
+     * Turn the item into a light source, which lets the player see in dark locations while it is on. Options:
+     * - on: whether it starts switched on, false by default
+     * - battery: the number of turns it can stay on for, unlimited by default
+     * - lowBattery: the number of turns left when the player is warned that the battery is running low
+     * - onMessage, offMessage, lowBatteryMessage, exhaustedMessage: shown instead of the default messages
+     */
+    Item.prototype.makeLightSource = function (options) {
+        options = options || {};
+        
+        this.lightSource = true;
+        this.on = options.on === true;
+        this.battery = options.battery;
+        this.lowBattery = options.lowBattery;
+        this.onMessage = options.onMessage;
+        this.offMessage = options.offMessage;
+        this.lowBatteryMessage = options.lowBatteryMessage;
+        this.exhaustedMessage = options.exhaustedMessage;
+    };
+    Item.prototype.givesLight = function () {
+        return this.lightSource && this.on && (this.battery === undefined || this.battery > 0);
+    };
+    // Switch the light on, returns false if it couldn't be
+    Item.prototype.switchOn = function (game) {
+        if (!this.lightSource) {
+            game.printError('You can\'t turn on ' + this.getTitle() + '.');
+        } else if (this.on) {
+            game.printError(this.getTitle() + ' is already on.');
+        } else if (this.battery !== undefined && this.battery <= 0) {
+            game.printError('Nothing happens. The battery of ' + this.getTitle() + ' is dead.');
+        } else {
+            this.on = true;
+            game.printMessage(this.onMessage || 'You turn on ' + this.getTitle() + '.');
+            return true;
+        }
+        
+        return false;
+    };
+    // Switch the light off, returns false if it couldn't be
+    Item.prototype.switchOff = function (game) {
+        if (!this.lightSource) {
+            game.printError('You can\'t turn off ' + this.getTitle() + '.');
+        } else if (!this.on) {
+            game.printError(this.getTitle() + ' is already off.');
+        } else {
+            this.on = false;
+            game.printMessage(this.offMessage || 'You turn off ' + this.getTitle() + '.');
+            return true;
+        }
+        
+        return false;
+    };
+    // Use up a turn of the battery, warning the player when it is low or runs out if they can see the light
+    Item.prototype.drainBattery = function (game, seen) {
+        if (this.battery === undefined) {
+            return;
+        }
+        this.battery -= 1;
+        if (this.battery <= 0) {
+            this.on = false;
+            if (seen) {
+                game.printMessage(this.exhaustedMessage || this.getTitle() + ' flickers and goes out.');
+            }
+        } else if (this.battery === this.lowBattery && seen) {
+            game.printMessage(this.lowBatteryMessage || this.getTitle() + ' is growing dim.');
+        }
+    };
+    Item.prototype.getContainerState = function () {
+        return {
+            open: this.open,
+            locked: this.locked,
+            contents: this.contents.getItemIds()
+        };
+    };
+    Item.prototype.setContainerState = function (state, game) {
+        var i;
+        
+        this.open = state.open;
+        this.locked = state.locked;
+        this.contents.clear();
+        for (i = 0; i < state.contents.length; i += 1) {
+            this.contents.addItem(game.availableItems.getItem(state.contents[i]));
+        }
+    };
     
     
     /*
@@ -1049,41 +5489,94 @@ var AdventureMachine = (function ($) {
     Inventory.prototype.removeItem = function (itemId) {
         this.items[itemId] = undefined;
     };
+    // List the ids of all the items currently held
+    Inventory.prototype.getItemIds = function () {
+        var ids = [],
+            itemId;
+        
+        for (itemId in this.items) {
+            if (this.items.hasOwnProperty(itemId) && this.items[itemId]) {
+                ids.push(itemId);
+            }
+        }
+        
+        return ids;
+    };
+    Inventory.prototype.clear = function () {
+        this.items = {};
+    };
     Inventory.prototype.takeItem = function (itemId) {
         var item = this.getItem(itemId);
         this.removeItem(itemId);
         
         return item;
     };
-    // Retrieve an item by name (case insensitive). Should be improved with some kind of fuzzy matching.
+    // Retrieve the item that best matches the name, see BaseEntity.matchName
     Inventory.prototype.findItemByName = function (itemName) {
-        var item,
-            itemCode;
+        return this.findItemsByName(itemName)[0] || null;
+    };
+    // Retrieve the items that match the name equally well, more than one means it is ambiguous
+    Inventory.prototype.findItemsByName = function (itemName) {
+        var matches = this.matchItemsByName(itemName),
+            found = [],
+            i;
+        
+        for (i = 0; i < matches.length && matches[i].score === matches[0].score; i += 1) {
+            found.push(matches[i].item);
+        }
+        
+        return found;
+    };
+    // Score every item against the name, returning the matches as {item: item, score: score}, best first. An item can
+    // also be referred to by id in the form "#item-id", which the game uses once the player has said which of several
+    // items they meant.
+    Inventory.prototype.matchItemsByName = function (itemName) {
+        var matches = [],
+            item,
+            itemCode,
+            score;
+        
+        itemName = itemName.trim();
+        if (itemName.charAt(0) === '#') {
+            item = this.getItem(itemName.slice(1));
+            return item ? [{item: item, score: 100}] : [];
+        }
         
         for (itemCode in this.items) {
             if (this.items.hasOwnProperty(itemCode)) {
                 item = this.items[itemCode];
-                if (item && item.title.toUpperCase() === itemName.trim().toUpperCase()) {
-                    return item;
+                score = item ? item.matchName(itemName) : 0;
+                if (score > 0) {
+                    matches.push({item: item, score: score});
                 }
             }
         }
         
-        return null;
+        return matches.sort(function (a, b) {
+            return b.score - a.score;
+        });
     };
     
     // Publicly visible portion of the implementation of AdventureMachine
     impl = {
+        BaseConsole: BaseConsole,
         Console: Console,
+        CommandPanel: CommandPanel,
         Game: Game,
         Command: Command,
         CallbackCommand: CallbackCommand,
         RegexCallbackCommand: RegexCallbackCommand,
         Story: Story,
+        InputNormaliser: InputNormaliser,
+        VariableStore: VariableStore,
+        EventBus: EventBus,
+        Scoreboard: Scoreboard,
+        Scheduler: Scheduler,
         BaseEntity: BaseEntity,
         Location: Location,
         Exit: Exit,
         NPC: NPC,
+        Dialogue: Dialogue,
         Item: Item,
         Fixture: Fixture,
         Inventory: Inventory
@@ -1091,4 +5584,8 @@ var AdventureMachine = (function ($) {
 
     return impl;
 
-}(jQuery)); // AdventureMachine
\ No newline at end of file
+}(typeof jQuery !== 'undefined' ? jQuery : undefined)); // AdventureMachine
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdventureMachine;
+}
\ No newline at end of file
@@ -17,6 +17,7 @@ if (!AdventureMachine) {
 
     var console,
         game,
+        commandPanel,
         startRoom,
         southRoom,
         corridor,
@@ -33,67 +34,195 @@ if (!AdventureMachine) {
     $(console).bind('onCommand', function (e, data) {
         game.parseCommand(data.commandText, data.commandParts);
     });
+    console.setCompletionProvider(function (commandText) {
+        return game.getCompletions(commandText);
+    });
+    // Each story keeps its own command history
+    game.on('gameStarted', function (event) {
+        console.loadHistory(event.name);
+    });
+    // Commands can be built with buttons as well as typed
+    commandPanel = new AdventureMachine.CommandPanel(console, game);
+    commandPanel.init();
     
-    securityGuard = new AdventureMachine.NPC('security-guard', 'Security Guard', 'An aging security guard.', function () {
-        //on ask
-        if (this.speakingAbout('lift') === true) {
-            this.reply('You need a keycard to get into the lifts. Just swipe it through the control panel to open the lift doors.');
-        } else if (this.speakingAbout('key') === true) {
-            this.reply('I don\'t have a keycard, that area is off-limits to us. Maybe you can find another one.');
-        } else if (this.speakingAbout(['happening', 'going on', 'party']) === true) {
-            this.reply('I clocked-on half an hour ago. The Christmas party was supposed to start before that, but the conference room is deserted, and there was no guard clocking-off to ask what was going on.');
-        } else {
-            this.reply('I don\'t know about that.');
+    securityGuard = new AdventureMachine.NPC('security-guard', 'Security Guard', 'An aging security guard.', undefined, undefined, function () {
+        //on talk
+        this.reply('Evening, I\'m Bernard. Are you here for the Christmas party? I don\'t know where everyone is to be honest, but the main generator\'s gone down so I guess they had to cancel.');
+    });
+    securityGuard.addTopics([
+        {
+            id: 'lift',
+            keywords: ['lift', 'lifts', 'elevator', 'upstairs'],
+            reply: [
+                {condition: 'flag:liftAccessGranted', text: 'You got the lifts working? Well, don\'t go wandering about up there for too long.'},
+                {condition: 'hasItem:lift-keycard', text: 'That keycard of yours should do it. Just swipe it through the control panel to open the lift doors.'},
+                {text: 'You need a keycard to get into the lifts. Just swipe it through the control panel to open the lift doors.'}
+            ],
+            unlocks: ['keycard']
+        },
+        {
+            id: 'keycard',
+            keywords: ['keycard', 'key card', 'card', 'key'],
+            hidden: true,
+            reply: 'I don\'t have a keycard, that area is off-limits to us. Maybe you can find another one.',
+            repeatReply: 'Like I said, I don\'t have one. Try looking around down here.'
+        },
+        {
+            id: 'party',
+            title: 'the party',
+            keywords: ['happening', 'going on', 'party', 'everyone'],
+            reply: 'I clocked-on half an hour ago. The Christmas party was supposed to start before that, but the conference room is deserted, and there was no guard clocking-off to ask what was going on.',
+            repeatReply: 'I\'ve told you all I know. No one was here when I clocked-on.',
+            unlocks: ['generator']
+        },
+        {
+            id: 'generator',
+            keywords: ['generator', 'power', 'lights'],
+            hidden: true,
+            reply: 'The emergency lights are on, but most of the building runs off the main generator. Nobody\'s been down to look at it yet.'
+        }
+    ]);
+    securityGuard.defaultReply = 'I don\'t know about that.';
+    // Bernard does his rounds, checking on the conference room every so often
+    securityGuard.setMovement({mode: 'route', route: ['atrium', 'conferenceRoom'], every: 8});
+    securityGuard.addAliases(['Bernard']);
+    securityGuard.addAdjectives(['aging']);
+    securityGuard.setDialogue({
+        start: 'greeting',
+        nodes: {
+            greeting: {
+                text: 'Evening, I\'m Bernard. Are you here for the Christmas party? I don\'t know where everyone is to be honest, but the main generator\'s gone down so I guess they had to cancel.',
+                choices: [
+                    {text: 'Where is everyone?', next: 'everyone'},
+                    {text: 'How do I get upstairs?', next: 'lift', condition: '!flag:liftAccessGranted'},
+                    {text: 'I found a keycard.', next: 'keycard', condition: 'hasItem:lift-keycard && !flag:liftAccessGranted'},
+                    {text: 'Goodbye.', next: 'goodbye'}
+                ]
+            },
+            everyone: {
+                text: 'I clocked-on half an hour ago. The Christmas party was supposed to start before that, but the conference room is deserted, and there was no guard clocking-off to ask what was going on.',
+                effects: [{setFlag: 'askedBernardAboutParty'}],
+                returnTo: 'greeting'
+            },
+            lift: {
+                text: 'You need a keycard to get into the lifts, and that area is off-limits to us. Maybe someone left one lying around.',
+                returnTo: 'greeting'
+            },
+            keycard: {
+                text: 'Did you now? Just swipe it through the control panel to open the lift doors. I didn\'t see anything, mind.',
+                returnTo: 'greeting'
+            },
+            goodbye: {
+                text: 'Don\'t go wandering about for too long.',
+                end: true
+            }
         }
-    }, function () {
-            this.reply('I don\'t know anything about that.');
-        }, function () {
-            //on talk
-            this.reply('Evening, I\'m Bernard. Are you here for the Christmas party? I don\'t know where everyone is to be honest, but the main generator\'s gone down so I guess they had to cancel.');
-        });
+    });
     
     // Define a sample game - in the future, could this be read from a file? How to handle custom behaviour - i.e. avoid loading arbitrary JS?
     
     // Items
     items = [
         new AdventureMachine.Item('flashlight', 'Flashlight', 'A cracked flashlight that gives off fractured but adequate lighting.', function (target) {
+            if (!this.on) {
+                this.game.print('The flashlight is switched off.');
+                return false;
+            }
             if (target && target.id === 'dark-cupboard') {
-                this.game.printMessage('The light of the torch reveals a plastic key card, which you pick up and place in your pocket.');
-                this.game.addItemToInventory('lift-keycard');
+                if (target.contents.getItem('lift-keycard')) {
+                    this.game.printMessage('The light of the torch reveals a plastic key card lying on one of the dusty shelves.');
+                } else {
+                    this.game.printMessage('You shine the torch around the cupboard, but there is nothing else of interest among the mops.');
+                }
+                this.game.variables.setFlag('cupboardLit');
             } else if (target) {
                 this.game.print('You can\'t use this item on ' + target.title);
+                return false;
             } else {
                 this.game.print('You shine the flashlight around the room, making the shadows jump erratically.');
             }
+            
+            return true;
         }),
         new AdventureMachine.Item('lift-keycard', 'Keycard', 'An electronic keycard, presumably this used to belong to an employee working in the building, and is used to gain access to authorised areas of the office.', function (target) {
-            if (target && target.id === 'lift-control-panel') {
-                this.game.printMessage('You swipe the keycard through the control panel, which promptly makes an eletronic chirp and displays the message "Access Granted" as the lift doors slide quietly open. You enter, and press the button for the next floor.');
-                this.game.currentLocation.addExit('Lift', 'corridor-1');
+            var lift = this.game.currentLocation.getExit('Lift');
+            
+            if (target && target.id === 'lift-control-panel' && lift.locked) {
+                this.game.printMessage('You swipe the keycard through the control panel, which promptly makes an eletronic chirp and displays the message "Access Granted" as the lift doors slide quietly open.');
+                lift.unlock(this.game);
+                return true;
+            } else if (target && target.id === 'lift-control-panel') {
+                this.game.print('The lift doors are already open.');
+                return false;
             } else if (target) {
                 this.game.print('You can\'t use this item on ' + target.title);
+                return false;
             } else {
                 this.game.print('You can\'t use this item on its own. Is there a door that needs unlocking?');
+                return false;
             }
         }),
         new AdventureMachine.Fixture('dark-cupboard', 'Dark cupboard', 'A service cupboard of some kind. The light is broken. In the dim light spilling into the space from the room you are standing in you can just about make out some mops and dusty shelves in the gloom, but it is too dark to see properly.'),
         new AdventureMachine.Fixture('lift-control-panel', 'Lift Control Panel', 'Next to the lifts is a control panel, the soft blue light emitted by the LCD display giving an ethereal quality to the area. It looks like some kind of key card needs to be swiped through a card reader on the side of the panel to open the lift doors.')
     ];
+    items[0].addAliases(['torch']);
+    items[0].addAdjectives(['cracked']);
+    items[0].makeLightSource({
+        on: true,
+        battery: 150,
+        lowBattery: 10,
+        lowBatteryMessage: 'The flashlight flickers, its beam growing weak.',
+        exhaustedMessage: 'The flashlight sputters and dies.'
+    });
+    items[1].addAliases(['card', 'key card']);
+    items[1].addAdjectives(['plastic', 'electronic']);
+    items[2].addAliases(['service cupboard']);
+    // The keycard can only be found once the flashlight has lit up the cupboard
+    items[2].makeContainer({
+        openable: false,
+        contents: ['lift-keycard'],
+        condition: 'flag:cupboardLit',
+        hiddenMessage: 'It is too dark to make out anything in the cupboard.'
+    });
+    items[3].addAliases(['card reader']);
     
     // Locations
     startRoom = new AdventureMachine.Location('atrium', 'Atrium', 'You are standing in the atrium of an office building. The room is deserted. You see some frosted glass doors to the south, and some lift doors illuminated by the soft blue light of a control panel on the east wall.', [
-        ['South', 'conferenceRoom']
+        ['South', 'conferenceRoom'],
+        ['Lift', 'corridor-1', {
+            locked: true,
+            key: 'lift-keycard',
+            lockedMessage: 'The lift doors are firmly shut. There must be some way of opening them from the control panel.',
+            unlockMessage: 'You swipe the keycard through the control panel, which promptly makes an eletronic chirp and displays the message "Access Granted" as the lift doors slide quietly open.',
+            onUnlock: function (game) {
+                game.variables.setFlag('liftAccessGranted');
+            },
+            onBeforeExit: function (game) {
+                game.printMessage('You enter, and press the button for the next floor. The doors close and the lift hums gently upwards.');
+            }
+        }]
     ], ['flashlight', 'lift-control-panel'], ['security-guard']);
     
     southRoom = new AdventureMachine.Location('conferenceRoom', 'Conference Room', 'You enter a conference room, and are greeted by rows of neatly-placed chairs illuminated by flickering lights. At the front of the room is a podium for the speaker. Loose papers are scattered on the floor next to the podium, gently fluttering in the wake of a lacklustre ceiling fan. Some of the chairs have been knocked over in the front row. Near the entrance is a narrow doorway, presumably leading to a service cupboard.', [
         ['North', 'atrium']
-    ], ['dark-cupboard']);
+    ], ['dark-cupboard'], [], {
+        returnDescription: 'The conference room is as deserted as before, the papers by the podium still fluttering under the ceiling fan.',
+        onLeave: function (game) {
+            if (this.visits === 1) {
+                game.printMessage('As you leave, one of the lights in the conference room flickers and dies behind you.');
+            }
+        }
+    });
     
     corridor = new AdventureMachine.Location('corridor-1', 'Upstairs Corridor', 'You emerge into a corridor. Cork boards line the walls, covered with pieces of paper and notices like "Staff Christmas Party". A number of doors lead off either side of the space.', [
         ['Lifts', 'atrium'],
         ['Door 1', 'room1'],
         ['Door 2', 'room2']
-    ]);
+    ], [], [], {
+        onFirstVisit: function (game) {
+            game.printMessage('Somewhere further down the corridor, a door slams shut.');
+        }
+    });
     
     room1 = new AdventureMachine.Location('room1', 'Office Space', 'You spy a deserted office. One of the computers has been left on, illuminating a mug that says "You don\'t have to be mad to work here, but it sure helps!"', [
         ['Out', 'corridor-1']
@@ -101,7 +230,10 @@ if (!AdventureMachine) {
     
     room2 = new AdventureMachine.Location('room2', 'More Office Space', 'You spy another deserted office. Tacked to a notice board is a poster for the christmas party, with a presentation for the best costume. The party should be in full swing - where is everyone?', [
         ['Out', 'corridor-1']
-    ]);
+    ], [], [], {
+        dark: true,
+        darkDescription: 'The blinds are drawn and none of the lights in this office are working. It is too dark to see anything.'
+    });
     
     game.newGame({
         name: 'The Silence',
@@ -110,17 +242,26 @@ if (!AdventureMachine) {
         items: items,
         inventory: [],
         npcs: [securityGuard],
-        commands: []
+        commands: [],
+        scoring: {
+            awards: [
+                {id: 'found-flashlight', points: 2, on: 'itemTaken', item: 'flashlight'},
+                {id: 'found-keycard', points: 5, on: 'itemUsed', item: 'flashlight', target: 'dark-cupboard', title: 'Light in the Dark'},
+                {id: 'asked-about-lift', points: 1, on: 'npcAsked', npc: 'security-guard', topic: 'lift'},
+                {id: 'opened-lift', points: 5, on: 'exitUnlocked', location: 'atrium', target: 'Lift', title: 'Access Granted'},
+                {id: 'upstairs', points: 7, on: 'locationEntered', location: 'corridor-1', title: 'Going Up'}
+            ],
+            ranks: [
+                {score: 0, title: 'Party Guest'},
+                {score: 8, title: 'Snoop'},
+                {score: 20, title: 'Investigator'}
+            ]
+        }
     });
     
-    // TODO: Test dynamic descriptions & onExit callback
     // TODO: Restructure internal list of items in an inventory so that they can be retrieved as an array
-    // TODO: Custom 'onEnter' callbacks for rooms
     // TODO: Source commands from external script, as they may be genre-specific
     // TODO: Refactor custom commands into base entity & load from items, npcs when loading a room
-    // TODO: Decouple console completely, using events or similar to link to game
-    // TODO: Console can render command names and iteractive elements like items & npcs as links. Clicking adds text to console.
-    // TODO: Button-driven commands: can click 'ask', then select an NPC from a list, then type a topic, for example
     // TODO: Cheat panel on console, select a location to go straight there, an item to add it to inventory, an NPC to add it to room etc
     // TODO: Define story from a text file. How to cope with interactive elements? Boil it down to standard text commands specific to game definitions?
     //          Can embed JavaScript with a defined contract with your environment: https://developers.google.com/caja/docs/runningjavascript/
@@ -0,0 +1,147 @@
+/*jslint node: true*/
+'use strict';
+
+var readline = require('readline'),
+    AdventureMachine = require('./adventure-machine'),
+    // Console implementation for playing games in a terminal
+    TerminalConsole,
+    // ANSI escape codes used to style the output
+    ansi = {
+        reset: '\u001b[0m',
+        bold: '\u001b[1m',
+        italic: '\u001b[3m',
+        underline: '\u001b[4m',
+        red: '\u001b[31m',
+        yellow: '\u001b[33m',
+        blue: '\u001b[34m'
+    },
+    // Styles for each display type, mirroring main.css
+    displayStyles = {
+        title: ansi.bold + ansi.underline,
+        section: ansi.bold,
+        subsection: ansi.bold,
+        description: ansi.italic,
+        error: ansi.red,
+        information: ansi.blue,
+        command: ansi.bold + ansi.yellow
+    },
+    // Styles for the classes used on spans within messages
+    spanStyles = {
+        location: ansi.yellow,
+        command: ansi.bold + ansi.yellow,
+        help: ansi.bold + ansi.yellow,
+        error: ansi.red
+    },
+    entities = {
+        '&lt;': '<',
+        '&gt;': '>',
+        '&quot;': '"',
+        '&#39;': '\'',
+        '&nbsp;': ' ',
+        '&amp;': '&'
+    };
+
+/*
+ * Define the TerminalConsole class, which plays a game through Node's readline, reading commands from an input stream
+ * and writing messages to an output stream. The HTML used in messages is converted to plain text, styled with ANSI
+ * escape codes when the output is a terminal.
+ */
+TerminalConsole = function (options) {
+    AdventureMachine.BaseConsole.call(this);
+
+    this.config = undefined;
+    this.readline = undefined;
+
+    this.defaultOptions = {
+        input: process.stdin,
+        output: process.stdout,
+        prompt: '> ',
+        // Use ANSI styling, by default only when writing to a terminal
+        colour: undefined
+    };
+
+    if (options) {
+        this.init(options);
+    }
+};
+TerminalConsole.prototype = new AdventureMachine.BaseConsole();
+TerminalConsole.prototype.constructor = TerminalConsole;
+TerminalConsole.prototype.init = function (options) {
+    var config = this.config = {},
+        thisConsole = this,
+        option;
+
+    for (option in this.defaultOptions) {
+        if (this.defaultOptions.hasOwnProperty(option)) {
+            config[option] = (options && options[option] !== undefined) ? options[option] : this.defaultOptions[option];
+        }
+    }
+    if (config.colour === undefined) {
+        config.colour = config.output.isTTY === true;
+    }
+
+    this.readline = readline.createInterface({
+        input: config.input,
+        output: config.output,
+        terminal: config.output.isTTY === true,
+        // Tab completion of the whole line, see BaseConsole.setCompletionProvider
+        completer: function (line) {
+            return [thisConsole.getCompletions(line), line];
+        }
+    });
+    this.readline.setPrompt(config.prompt);
+
+    this.readline.on('line', function (line) {
+        thisConsole.submitCommand(line.trim());
+        thisConsole.readline.prompt();
+    });
+};
+// Show the prompt once the game is ready for the first command
+TerminalConsole.prototype.prompt = function () {
+    this.readline.prompt();
+};
+// Register a function to be called when the input ends, e.g. the player presses Ctrl+D
+TerminalConsole.prototype.onClose = function (callback) {
+    this.readline.on('close', callback);
+};
+TerminalConsole.prototype.close = function () {
+    this.readline.close();
+};
+TerminalConsole.prototype.display = function (message, displayType) {
+    var style = this.config.colour ? (displayStyles[displayType] || '') : '',
+        text = this.toText(String(message), style);
+
+    if (style) {
+        text = style + text + ansi.reset;
+    }
+    this.config.output.write(text + '\n');
+};
+// Convert message HTML to plain text, replacing styled spans with the equivalent ANSI codes if colour is enabled
+TerminalConsole.prototype.toText = function (message, baseStyle) {
+    var colour = this.config.colour,
+        styleStack = [baseStyle],
+        text;
+
+    text = message.replace(/<br\s*\/?>/gi, '\n').replace(/<(\/?)([a-z0-9]+)([^>]*)>/gi, function (tag, closing, tagName, attributes) {
+        var classMatch;
+
+        if (!colour || tagName.toLowerCase() !== 'span') {
+            return '';
+        }
+        if (closing) {
+            styleStack.pop();
+            return ansi.reset + styleStack.join('');
+        }
+
+        classMatch = /class="([^"]*)"/.exec(attributes);
+        styleStack.push((classMatch && spanStyles[classMatch[1]]) || '');
+        return styleStack[styleStack.length - 1];
+    });
+
+    // Lists in messages end with a line break, which would leave a blank line in the terminal
+    return text.replace(/\n+$/, '').replace(/&(lt|gt|quot|#39|nbsp|amp);/g, function (entity) {
+        return entities[entity];
+    });
+};
+
+module.exports = TerminalConsole;
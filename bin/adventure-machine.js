@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/*jslint node: true*/
+'use strict';
+
+/*
+ * Plays a story in the terminal, e.g. "node bin/adventure-machine.js my-story.json"
+ * The story can be a JSON story document, or a JavaScript module that exports a Story, the gameData for
+ * Game.newGame, or a function that is passed AdventureMachine and returns either of those.
+ * Saved games are kept in a JSON file, ~/.adventure-machine-saves.json unless ADVENTURE_MACHINE_SAVES is set.
+ */
+var fs = require('fs'),
+    path = require('path'),
+    AdventureMachine = require('../app/scripts/adventure-machine'),
+    TerminalConsole = require('../app/scripts/terminal-console'),
+    storyPath = process.argv[2],
+    savesPath = process.env.ADVENTURE_MACHINE_SAVES || path.join(process.env.HOME || process.cwd(), '.adventure-machine-saves.json'),
+    // Storage for saved games with the same getItem/setItem interface as localStorage, backed by a JSON file
+    FileStorage,
+    terminal,
+    game,
+    story;
+
+FileStorage = function (filePath) {
+    this.filePath = filePath;
+};
+FileStorage.prototype.read = function () {
+    return fs.existsSync(this.filePath) ? JSON.parse(fs.readFileSync(this.filePath, 'utf8')) : {};
+};
+FileStorage.prototype.getItem = function (key) {
+    var data = this.read();
+    return data.hasOwnProperty(key) ? data[key] : null;
+};
+FileStorage.prototype.setItem = function (key, value) {
+    var data = this.read();
+    data[key] = String(value);
+    fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+};
+
+// Load the story from either a JSON document or a JavaScript module
+function loadStory(storyPath) {
+    var loaded;
+
+    if (path.extname(storyPath).toLowerCase() === '.json') {
+        return new AdventureMachine.Story(fs.readFileSync(storyPath, 'utf8'));
+    }
+
+    loaded = require(path.resolve(storyPath));
+    if (loaded instanceof Function) {
+        loaded = loaded(AdventureMachine);
+    }
+    return loaded;
+}
+
+if (!storyPath) {
+    process.stderr.write('Usage: adventure-machine <story.json|story.js>\n');
+    process.exit(1);
+}
+
+try {
+    story = loadStory(storyPath);
+} catch (e) {
+    process.stderr.write('Unable to load story "' + storyPath + '": ' + e + '\n');
+    process.exit(1);
+}
+
+terminal = new TerminalConsole({});
+game = new AdventureMachine.Game(terminal);
+game.storage = new FileStorage(savesPath);
+
+terminal.addCommandListener(function (commandText, commandParts) {
+    game.parseCommand(commandText, commandParts);
+});
+terminal.setCompletionProvider(function (commandText) {
+    return game.getCompletions(commandText);
+});
+terminal.onClose(function () {
+    game.scheduler.stopClock();
+    process.stdout.write('\n');
+});
+
+try {
+    game.newGame(story);
+} catch (e) {
+    process.stderr.write('Unable to start story "' + storyPath + '": ' + e + '\n');
+    process.exit(1);
+}
+terminal.prompt();
@@ -0,0 +1,110 @@
+/* global describe, it, beforeEach, assert, AdventureMachine */
+
+(function () {
+    'use strict';
+
+    var startGame = function (storyData) {
+        var console = new AdventureMachine.BaseConsole(),
+            game = new AdventureMachine.Game(console);
+
+        console.display = function () {};
+        game.newGame(new AdventureMachine.Story(storyData));
+
+        return game;
+    };
+
+    describe('Conditions', function () {
+        var game;
+
+        beforeEach(function () {
+            game = startGame({
+                name: 'Conditions',
+                startLocation: 'hall',
+                inventory: ['coin'],
+                locations: [
+                    {id: 'hall', title: 'Hall', description: 'A hall.', exits: [{name: 'North', destination: 'cellar'}], items: ['lamp'], npcs: ['bob']},
+                    {id: 'cellar', title: 'Cellar', description: 'A cellar.', dark: true, exits: [{name: 'South', destination: 'hall'}]}
+                ],
+                items: [
+                    {id: 'lamp', title: 'Lamp', description: 'A lamp.', light: {on: true}},
+                    {id: 'coin', title: 'Coin', description: 'A coin.'}
+                ],
+                npcs: [{id: 'bob', title: 'Bob', description: 'A man.'}],
+                variables: {fuses: 2, colour: 'red', generatorFixed: true, broken: false}
+            });
+        });
+
+        it('checks the inventory, location and visits', function () {
+            assert.isTrue(game.evaluateCondition('hasItem:coin'));
+            assert.isFalse(game.evaluateCondition('hasItem:lamp'));
+            assert.isTrue(game.evaluateCondition('here:lamp'));
+            assert.isTrue(game.evaluateCondition('here:bob'));
+            assert.isTrue(game.evaluateCondition('at:hall'));
+            assert.isTrue(game.evaluateCondition('visited:hall'));
+            assert.isFalse(game.evaluateCondition('visited:cellar'));
+        });
+        it('checks flags', function () {
+            assert.isTrue(game.evaluateCondition('flag:generatorFixed'));
+            assert.isFalse(game.evaluateCondition('flag:broken'));
+            assert.isFalse(game.evaluateCondition('flag:neverSet'));
+        });
+        it('checks whether the player can see', function () {
+            assert.isTrue(game.evaluateCondition('lit'));
+            game.goTo('cellar');
+            assert.isFalse(game.evaluateCondition('lit'));
+        });
+        it('compares numeric variables', function () {
+            assert.isTrue(game.evaluateCondition('var:fuses=2'));
+            assert.isTrue(game.evaluateCondition('var:fuses!=3'));
+            assert.isTrue(game.evaluateCondition('var:fuses>=2'));
+            assert.isFalse(game.evaluateCondition('var:fuses>2'));
+            assert.isTrue(game.evaluateCondition('var:fuses<10'));
+            assert.isTrue(game.evaluateCondition('var:fuses<=2'));
+        });
+        it('treats unset variables as 0 in numeric comparisons', function () {
+            assert.isTrue(game.evaluateCondition('var:lights=0'));
+            assert.isFalse(game.evaluateCondition('var:lights>=2'));
+            assert.isFalse(game.evaluateCondition('var:lights>2'));
+            assert.isTrue(game.evaluateCondition('var:lights<1'));
+            game.variables.increment('lights');
+            assert.isTrue(game.evaluateCondition('var:lights=1'));
+        });
+        it('compares numbers stored as text as numbers', function () {
+            game.variables.set('floor', '10');
+            assert.isTrue(game.evaluateCondition('var:floor>9'));
+        });
+        it('compares string variables', function () {
+            assert.isTrue(game.evaluateCondition('var:colour=red'));
+            assert.isTrue(game.evaluateCondition('var:colour!=blue'));
+            assert.isTrue(game.evaluateCondition('var:colour<s'));
+            assert.isFalse(game.evaluateCondition('var:shade=red'));
+            assert.isTrue(game.evaluateCondition('var:shade!=red'));
+        });
+        it('combines terms with operators and parentheses', function () {
+            assert.isTrue(game.evaluateCondition('hasItem:coin && flag:generatorFixed'));
+            assert.isFalse(game.evaluateCondition('hasItem:coin && flag:broken'));
+            assert.isTrue(game.evaluateCondition('flag:broken || at:hall'));
+            assert.isTrue(game.evaluateCondition('!flag:broken'));
+            assert.isTrue(game.evaluateCondition('!(flag:broken || at:cellar) && var:fuses=2'));
+        });
+        it('accepts constants, functions and no condition at all', function () {
+            assert.isTrue(game.evaluateCondition(undefined));
+            assert.isTrue(game.evaluateCondition('true'));
+            assert.isFalse(game.evaluateCondition('false'));
+            assert.isTrue(game.evaluateCondition(function (g) {
+                return g === game;
+            }));
+        });
+        it('rejects invalid expressions', function () {
+            assert.throws(function () {
+                game.evaluateCondition('hasItem:coin &&');
+            });
+            assert.throws(function () {
+                game.evaluateCondition('(at:hall');
+            });
+            assert.throws(function () {
+                game.evaluateCondition('owns:coin');
+            });
+        });
+    });
+})();
@@ -0,0 +1,63 @@
+/* global describe, it, assert, AdventureMachine */
+
+(function () {
+    'use strict';
+
+    describe('BaseConsole', function () {
+        it('splits commands into parts, keeping quoted text together', function () {
+            var console = new AdventureMachine.BaseConsole();
+
+            assert.deepEqual(console.parse('save "before the lift" now'), ['save', 'before the lift', 'now']);
+        });
+        it('notifies command listeners', function () {
+            var console = new AdventureMachine.BaseConsole(),
+                received;
+
+            console.addCommandListener(function (commandText, commandParts) {
+                received = [commandText, commandParts];
+            });
+            console.submitCommand('go north');
+            assert.deepEqual(received, ['go north', ['go', 'north']]);
+        });
+        it('asks the completion provider for completions', function () {
+            var console = new AdventureMachine.BaseConsole();
+
+            assert.deepEqual(console.getCompletions('ta'), []);
+            console.setCompletionProvider(function (commandText) {
+                return [commandText + 'ke'];
+            });
+            assert.deepEqual(console.getCompletions('ta'), ['take']);
+        });
+    });
+
+    describe('VariableStore', function () {
+        it('keeps flags and counters', function () {
+            var variables = new AdventureMachine.VariableStore({fuses: 1});
+
+            variables.setFlag('lit');
+            variables.increment('fuses');
+            variables.increment('coins', 3);
+            assert.isTrue(variables.isSet('lit'));
+            assert.equal(variables.get('fuses'), 2);
+            assert.equal(variables.get('coins'), 3);
+            assert.deepEqual(variables.getState(), {fuses: 2, lit: true, coins: 3});
+        });
+    });
+
+    describe('EventBus', function () {
+        it('calls every handler, and reports whether one cancelled the event', function () {
+            var events = new AdventureMachine.EventBus(),
+                calls = [];
+
+            events.on('itemTaken', function () {
+                calls.push('first');
+                return false;
+            });
+            events.on('itemTaken', function () {
+                calls.push('second');
+            });
+            assert.isFalse(events.emit('itemTaken', {}));
+            assert.deepEqual(calls, ['first', 'second']);
+        });
+    });
+})();
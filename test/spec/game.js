@@ -0,0 +1,543 @@
+/* global describe, it, beforeEach, assert, AdventureMachine */
+
+(function () {
+    'use strict';
+
+    var storyData = function () {
+            return {
+                name: 'Test Story',
+                startLocation: 'hall',
+                inventory: ['sandwich'],
+                locations: [
+                    {id: 'hall', title: 'Hall', description: 'A long hall.', returnDescription: 'The hall again.',
+                     exits: [{name: 'North', destination: 'study'},
+                             {name: 'East', destination: 'vault', locked: true, key: 'brass-key'},
+                             {name: 'Up', destination: 'attic', condition: 'flag:ladderDown'}],
+                     items: ['lamp', 'chest', 'hook', 'anvil'], npcs: ['bob', 'ann']},
+                    {id: 'study', title: 'Study', description: 'A study full of books.', dark: true, darkDescription: 'It is pitch black.',
+                     exits: [{name: 'South', destination: 'hall'}], items: ['book']},
+                    {id: 'vault', title: 'Vault', description: 'A vault.', exits: [{name: 'West', destination: 'hall'}], items: ['iron-key'], npcs: ['guard']},
+                    {id: 'attic', title: 'Attic', description: 'A dusty attic.', exits: [{name: 'Down', destination: 'hall'}]}
+                ],
+                items: [
+                    {id: 'lamp', title: 'Lamp', description: 'A brass lamp.', light: {on: false, battery: 3}},
+                    {id: 'brass-key', title: 'Brass Key', description: 'A small key.', aliases: ['key']},
+                    {id: 'iron-key', title: 'Iron Key', description: 'A heavy key.', aliases: ['key']},
+                    {id: 'book', title: 'Book', description: 'A thick book.'},
+                    {id: 'sandwich', title: 'Sandwich', description: 'A cheese sandwich.'},
+                    {id: 'rope', title: 'Rope', description: 'A coil of rope.'},
+                    {id: 'hook', title: 'Hook', description: 'A metal hook.'},
+                    {id: 'grapple', title: 'Grappling Hook', description: 'A hook on a rope.'},
+                    {id: 'map', title: 'Map', description: 'A map of the house.'},
+                    {id: 'anvil', title: 'Anvil', description: 'Very heavy.', weight: 20},
+                    {id: 'bag', title: 'Bag', description: 'A canvas bag.', container: {openable: false, contents: ['stone']}},
+                    {id: 'stone', title: 'Stone', description: 'A heavy stone.', weight: 8}
+                ],
+                fixtures: [
+                    {id: 'chest', title: 'Chest', description: 'An old chest.', container: {contents: ['brass-key']}}
+                ],
+                npcs: [
+                    {id: 'bob', title: 'Bob', description: 'A shopkeeper.', talk: 'Hello.', inventory: ['rope', 'map'],
+                     topics: [{id: 'vault', keywords: ['vault'], reply: 'It is locked.', repeatReply: 'Like I said, locked.'}],
+                     defaultReply: 'No idea.',
+                     accepts: [{item: 'sandwich', reply: 'Thanks!', effects: [{giveItem: 'rope'}]}],
+                     sells: [{item: 'map', price: 2}]},
+                    {id: 'ann', title: 'Ann', description: 'A caretaker.',
+                     dialogue: {start: 'hello', nodes: {hello: {text: 'Hi there.', choices: [{text: 'Can you lower the ladder?', next: 'ladder'}, {text: 'Bye.', end: true}]},
+                                                        ladder: {text: 'Done.', effects: [{setFlag: 'ladderDown'}], end: true}}}},
+                    {id: 'guard', title: 'Guard', description: 'A guard.', movement: {mode: 'route', route: ['vault', 'hall']}}
+                ],
+                variables: {money: 5},
+                currency: {variable: 'money', singular: 'pound', plural: 'pounds'},
+                capacity: {weight: 10},
+                recipes: [{items: ['rope', 'hook'], result: 'grapple', message: 'You tie the rope to the hook.'}],
+                scoring: {awards: [{id: 'found-vault', points: 5, on: 'locationEntered', location: 'vault', title: 'Safe Cracker'}],
+                          ranks: [{score: 0, title: 'Visitor'}, {score: 5, title: 'Burglar'}]}
+            };
+        },
+        startGame = function (data) {
+            var console = new AdventureMachine.BaseConsole(),
+                game = new AdventureMachine.Game(console),
+                saves = {};
+
+            console.output = [];
+            console.display = function (message) {
+                this.output.push(message.replace(/<br\/>/g, '\n').replace(/<[^>]+>/g, ''));
+            };
+            game.storage = {
+                getItem: function (key) {
+                    return saves.hasOwnProperty(key) ? saves[key] : null;
+                },
+                setItem: function (key, value) {
+                    saves[key] = value;
+                }
+            };
+            game.newGame(new AdventureMachine.Story(data || storyData()));
+
+            return game;
+        },
+        // Run a command and return what was displayed
+        play = function (game, commandText) {
+            game.console.output = [];
+            game.parseCommand(commandText);
+
+            return game.console.output.join('\n');
+        },
+        carrying = function (game) {
+            return game.inventory.getItemIds().sort();
+        };
+
+    describe('Game', function () {
+        var game;
+
+        beforeEach(function () {
+            game = startGame();
+        });
+
+        describe('commands', function () {
+            it('describes the start location', function () {
+                assert.equal(game.currentLocation.id, 'hall');
+                assert.ok(game.console.output.join('\n').indexOf('A long hall.') >= 0);
+            });
+            it('reports unknown commands and suggests similar ones', function () {
+                assert.ok(play(game, 'dance').indexOf('dance') >= 0);
+                assert.ok(play(game, 'tak lamp').indexOf('take') >= 0);
+                assert.deepEqual(carrying(game), ['sandwich']);
+            });
+            it('shows the usage of a command without taking a turn', function () {
+                assert.ok(play(game, 'take').indexOf('Usage') >= 0);
+                assert.equal(game.turns, 0);
+            });
+            it('runs chained commands in order', function () {
+                play(game, 'take lamp then turn on lamp and go north');
+                assert.equal(game.currentLocation.id, 'study');
+                assert.deepEqual(carrying(game), ['lamp', 'sandwich']);
+            });
+        });
+
+        describe('names', function () {
+            it('matches aliases and tolerates typos', function () {
+                play(game, 'open chest');
+                play(game, 'take key');
+                assert.deepEqual(carrying(game), ['brass-key', 'sandwich']);
+                play(game, 'drop brass key');
+                play(game, 'take brss key');
+                assert.deepEqual(carrying(game), ['brass-key', 'sandwich']);
+            });
+            it('asks which one was meant when a name is ambiguous', function () {
+                game.inventory.addItem(game.availableItems.getItem('iron-key'));
+                play(game, 'open chest');
+                play(game, 'take brass key');
+                assert.ok(play(game, 'drop key').indexOf('Which') >= 0);
+                play(game, 'iron');
+                assert.deepEqual(carrying(game), ['brass-key', 'sandwich']);
+            });
+            it('replaces only the ambiguous name once the player has answered', function () {
+                var data = storyData();
+
+                data.items.push({id: 'keycard', title: 'Keycard', description: 'A plastic card.'});
+                data.inventory.push('keycard');
+                game = startGame(data);
+                game.inventory.addItem(game.availableItems.getItem('iron-key'));
+                play(game, 'open chest');
+                play(game, 'take brass key');
+                assert.ok(play(game, 'use keycard on key').indexOf('Which') >= 0);
+                play(game, 'iron');
+                assert.equal(game.currentCommandText, 'use keycard on #iron-key');
+            });
+            it('refers to items and NPCs by id with #, as the entity menus do', function () {
+                game.inventory.addItem(game.availableItems.getItem('iron-key'));
+                play(game, 'open chest');
+                play(game, 'take #brass-key');
+                assert.equal(play(game, 'drop #iron-key').indexOf('Which'), -1);
+                assert.deepEqual(carrying(game), ['brass-key', 'sandwich']);
+                assert.ok(play(game, 'ask #bob about vault').indexOf('It is locked.') >= 0);
+            });
+        });
+
+        describe('exits', function () {
+            it('keeps locked exits shut until they are unlocked with their key', function () {
+                play(game, 'go east');
+                assert.equal(game.currentLocation.id, 'hall');
+                play(game, 'open chest');
+                play(game, 'take brass key');
+                play(game, 'use brass key on east');
+                play(game, 'go east');
+                assert.equal(game.currentLocation.id, 'vault');
+            });
+            it('emits exitUnlocked however the exit is unlocked', function () {
+                var unlocked = [];
+
+                game.on('exitUnlocked', function (event) {
+                    unlocked.push(event.location.id + ' ' + event.exit.exitName);
+                });
+                play(game, 'open chest');
+                play(game, 'take brass key');
+                play(game, 'use brass key on east');
+                game.currentLocation.getExit('East').lock();
+                game.currentLocation.getExit('East').unlock(game);
+                assert.deepEqual(unlocked, ['hall East', 'hall East']);
+            });
+            it('hides exits until their condition passes', function () {
+                play(game, 'go up');
+                assert.equal(game.currentLocation.id, 'hall');
+                game.variables.setFlag('ladderDown');
+                play(game, 'go up');
+                assert.equal(game.currentLocation.id, 'attic');
+            });
+        });
+
+        describe('locations', function () {
+            it('counts visits and uses the return description', function () {
+                play(game, 'go up');
+                game.variables.setFlag('ladderDown');
+                play(game, 'go up');
+                play(game, 'brief');
+                assert.ok(play(game, 'go down').indexOf('The hall again.') >= 0);
+                assert.equal(game.locations.hall.visits, 2);
+            });
+            it('falls back to the full description in verbose mode only', function () {
+                game.variables.setFlag('ladderDown');
+                play(game, 'go up');
+                assert.ok(play(game, 'go down').indexOf('The hall again.') >= 0);
+                assert.ok(play(game, 'go up').indexOf('A dusty attic.') >= 0);
+                play(game, 'go down');
+                play(game, 'brief');
+                assert.equal(play(game, 'go up').indexOf('A dusty attic.'), -1);
+            });
+        });
+
+        describe('events', function () {
+            it('emits events that handlers can cancel', function () {
+                var taken = [];
+
+                game.on('itemTaken', function (event) {
+                    taken.push(event.item.id);
+                });
+                game.on('beforeItemTaken', function (event) {
+                    return event.item.id !== 'hook';
+                });
+                play(game, 'take lamp');
+                play(game, 'take hook');
+                assert.deepEqual(taken, ['lamp']);
+                assert.deepEqual(carrying(game), ['lamp', 'sandwich']);
+            });
+            it('only emits itemUsed when the item was used', function () {
+                var used = [];
+
+                game.on('itemUsed', function (event) {
+                    used.push(event.item.id);
+                });
+                assert.ok(play(game, 'use sandwich').indexOf('Nothing happens.') >= 0);
+                assert.deepEqual(used, []);
+            });
+            it('only counts a use when the callback returns true', function () {
+                var used = [],
+                    sandwich = game.inventory.getItem('sandwich');
+
+                game.on('itemUsed', function (event) {
+                    used.push(event.item.id);
+                });
+                sandwich.onUseCallback = function () {};
+                play(game, 'use sandwich');
+                sandwich.onUseCallback = function () {
+                    return true;
+                };
+                play(game, 'use sandwich');
+                assert.deepEqual(used, ['sandwich']);
+            });
+        });
+
+        describe('scoring', function () {
+            it('grants awards once and ranks the score', function () {
+                play(game, 'open chest');
+                play(game, 'take brass key');
+                play(game, 'use brass key on east');
+                play(game, 'go east');
+                play(game, 'go west');
+                play(game, 'go east');
+                assert.equal(game.scoreboard.getScore(), 5);
+                assert.equal(game.scoreboard.getRank(), 'Burglar');
+                assert.ok(play(game, 'score').indexOf('Safe Cracker') >= 0);
+            });
+        });
+
+        describe('scheduler', function () {
+            it('moves NPCs along their routes as turns pass', function () {
+                assert.equal(game.getNpcLocation(game.npcs.getItem('guard')).id, 'vault');
+                play(game, 'take lamp');
+                assert.equal(game.getNpcLocation(game.npcs.getItem('guard')).id, 'hall');
+                play(game, 'drop lamp');
+                assert.equal(game.getNpcLocation(game.npcs.getItem('guard')).id, 'vault');
+            });
+            it('runs callbacks after a number of turns', function () {
+                var ran = 0;
+
+                game.scheduler.after(2, function () {
+                    ran += 1;
+                });
+                play(game, 'take lamp');
+                assert.equal(ran, 0);
+                play(game, 'drop lamp');
+                assert.equal(ran, 1);
+            });
+        });
+
+        describe('NPCs', function () {
+            it('follows a dialogue and applies its effects', function () {
+                assert.ok(play(game, 'talk to ann').indexOf('Hi there.') >= 0);
+                assert.ok(play(game, '1').indexOf('Done.') >= 0);
+                assert.isTrue(game.variables.isSet('ladderDown'));
+                assert.strictEqual(game.conversation, undefined);
+            });
+            it('answers questions about topics, differently the second time', function () {
+                assert.ok(play(game, 'ask bob about the vault').indexOf('It is locked.') >= 0);
+                assert.ok(play(game, 'ask bob about vault').indexOf('Like I said, locked.') >= 0);
+                assert.ok(play(game, 'ask bob about weather').indexOf('No idea.') >= 0);
+            });
+            it('accepts items and gives something back', function () {
+                play(game, 'give sandwich to bob');
+                assert.deepEqual(carrying(game), ['rope']);
+                assert.ok(game.npcs.getItem('bob').inventory.getItem('sandwich'));
+            });
+            it('sells items for money', function () {
+                play(game, 'buy map from bob');
+                assert.deepEqual(carrying(game), ['map', 'sandwich']);
+                assert.equal(game.variables.get('money'), 3);
+            });
+        });
+
+        describe('containers', function () {
+            it('must be opened to reach what is inside', function () {
+                play(game, 'take brass key');
+                assert.deepEqual(carrying(game), ['sandwich']);
+                play(game, 'open chest');
+                play(game, 'take brass key from chest');
+                assert.deepEqual(carrying(game), ['brass-key', 'sandwich']);
+                play(game, 'put sandwich in chest');
+                assert.ok(game.availableItems.getItem('chest').holds(game.availableItems.getItem('sandwich')));
+            });
+        });
+
+        describe('recipes', function () {
+            it('combines two items into a new one', function () {
+                play(game, 'give sandwich to bob');
+                play(game, 'take hook');
+                assert.ok(play(game, 'combine rope with hook').indexOf('You tie the rope to the hook.') >= 0);
+                assert.deepEqual(carrying(game), ['grapple']);
+            });
+        });
+
+        describe('light', function () {
+            it('only describes dark locations when there is light', function () {
+                assert.ok(play(game, 'go north').indexOf('pitch black') >= 0);
+                play(game, 'go south');
+                play(game, 'take lamp');
+                play(game, 'turn on lamp');
+                assert.ok(play(game, 'go north').indexOf('A study full of books.') >= 0);
+            });
+            it('drains batteries while lights are on', function () {
+                play(game, 'take lamp');
+                play(game, 'turn on lamp');
+                play(game, 'look');
+                play(game, 'look');
+                play(game, 'inventory');
+                play(game, 'inventory');
+                assert.isFalse(game.availableItems.getItem('lamp').givesLight());
+            });
+        });
+
+        describe('capacity', function () {
+            it('refuses items that are too heavy', function () {
+                play(game, 'take anvil');
+                assert.deepEqual(carrying(game), ['sandwich']);
+            });
+            it('takes and drops everything at once', function () {
+                play(game, 'take all except hook');
+                assert.deepEqual(carrying(game), ['lamp', 'sandwich']);
+                play(game, 'drop all');
+                assert.deepEqual(carrying(game), []);
+            });
+            it('takes a turn when only some of the items can be taken', function () {
+                var turns = game.turns;
+
+                assert.ok(play(game, 'take all except hook').indexOf('Anvil') >= 0);
+                assert.deepEqual(carrying(game), ['lamp', 'sandwich']);
+                assert.equal(game.turns, turns + 1);
+                play(game, 'undo');
+                assert.deepEqual(carrying(game), ['sandwich']);
+            });
+            it('counts what is in a carried container once', function () {
+                game.inventory.addItem(game.availableItems.getItem('bag'));
+                play(game, 'take stone from bag');
+                assert.deepEqual(carrying(game), ['bag', 'sandwich', 'stone']);
+                play(game, 'put stone in bag');
+                play(game, 'take lamp');
+                assert.deepEqual(carrying(game), ['bag', 'sandwich']);
+            });
+            it('puts down what the player is given when it is too heavy', function () {
+                game.capacity.weight = 1;
+                game.applyEffects([{giveItem: 'book'}]);
+                assert.deepEqual(carrying(game), ['sandwich']);
+                assert.ok(game.currentLocation.items.getItem('book'));
+                play(game, 'give sandwich to bob');
+                game.capacity.weight = 0;
+                assert.deepEqual(carrying(game), ['rope']);
+            });
+            it('puts down what NPCs hand over when it is too heavy', function () {
+                game.capacity.weight = 0;
+                play(game, 'give sandwich to bob');
+                assert.deepEqual(carrying(game), []);
+                assert.ok(game.currentLocation.items.getItem('rope'));
+            });
+            it('puts down what is made from a recipe when it is too heavy', function () {
+                play(game, 'give sandwich to bob');
+                play(game, 'take hook');
+                game.availableItems.getItem('grapple').weight = 12;
+                play(game, 'combine rope with hook');
+                assert.deepEqual(carrying(game), []);
+                assert.ok(game.currentLocation.items.getItem('grapple'));
+            });
+            it('refuses to buy what is too heavy', function () {
+                game.capacity.weight = 1;
+                play(game, 'buy map from bob');
+                assert.deepEqual(carrying(game), ['sandwich']);
+                assert.equal(game.variables.get('money'), 5);
+            });
+            it('leaves out every exception, separated by commas or "and"', function () {
+                play(game, 'take all except hook, anvil');
+                assert.deepEqual(carrying(game), ['lamp', 'sandwich']);
+                play(game, 'drop all except lamp and sandwich');
+                play(game, 'drop all but lamp, sandwich');
+                assert.deepEqual(carrying(game), ['lamp', 'sandwich']);
+            });
+        });
+
+        describe('save and restore', function () {
+            it('restores the state saved in a slot', function () {
+                play(game, 'take lamp');
+                play(game, 'save before');
+                play(game, 'go north');
+                play(game, 'drop lamp');
+                play(game, 'restore before');
+                assert.equal(game.currentLocation.id, 'hall');
+                assert.deepEqual(carrying(game), ['lamp', 'sandwich']);
+            });
+            it('lists the saved games', function () {
+                assert.ok(play(game, 'saves').indexOf('You haven\'t saved any games yet.') >= 0);
+                play(game, 'save before');
+                assert.ok(play(game, 'saves').indexOf('before') >= 0);
+            });
+            it('recreates exits added during play with their options', function () {
+                var restored = startGame(),
+                    exit;
+
+                game.currentLocation.addExit('West', 'vault', {locked: true, key: 'iron-key', lockedMessage: 'It is barred.',
+                                                               condition: 'flag:ladderDown', blockedMessage: 'Not yet.'});
+                restored.setState(JSON.parse(JSON.stringify(game.getState())));
+                exit = restored.currentLocation.getExit('West');
+                assert.equal(exit.key, 'iron-key');
+                assert.equal(exit.condition, 'flag:ladderDown');
+                assert.ok(play(restored, 'go west').indexOf('It is barred.') >= 0);
+                exit.unlock();
+                assert.ok(play(restored, 'go west').indexOf('Not yet.') >= 0);
+            });
+            it('refuses states saved by other versions', function () {
+                var state = game.getState(),
+                    error;
+
+                play(game, 'take lamp');
+                state.version = 0;
+                try {
+                    game.setState(state);
+                } catch (e) {
+                    error = e;
+                }
+                assert.ok(String(error).indexOf('Unsupported game state version') >= 0);
+                assert.deepEqual(carrying(game), ['lamp', 'sandwich']);
+            });
+        });
+
+        describe('undo and redo', function () {
+            it('takes back turns and makes them again', function () {
+                play(game, 'take lamp');
+                play(game, 'go north');
+                play(game, 'undo');
+                assert.equal(game.currentLocation.id, 'hall');
+                play(game, 'undo');
+                assert.deepEqual(carrying(game), ['sandwich']);
+                play(game, 'redo');
+                assert.deepEqual(carrying(game), ['lamp', 'sandwich']);
+            });
+            it('only remembers turns that changed something', function () {
+                play(game, 'take lamp');
+                play(game, 'inventory');
+                play(game, 'examine lamp');
+                play(game, 'take');
+                assert.ok(play(game, 'undo').indexOf('take lamp') >= 0);
+                assert.deepEqual(carrying(game), ['sandwich']);
+                assert.equal(game.undoHistory.length, 0);
+            });
+            it('remembers commands that changed something before failing', function () {
+                var lever = new AdventureMachine.CallbackCommand('pull lever', 'pull lever', function () {
+                    this.game.variables.setFlag('leverPulled');
+                    this.game.printError('The lever snaps off.');
+                });
+
+                lever.game = game;
+                game.addCommand(lever);
+                play(game, 'pull lever');
+                play(game, 'undo');
+                assert.isFalse(game.variables.isSet('leverPulled'));
+            });
+        });
+
+        describe('completion', function () {
+            it('completes command names and what they refer to', function () {
+                assert.ok(game.getCompletions('exa').indexOf('examine') >= 0);
+                assert.deepEqual(game.getCompletions('go nor'), ['go North']);
+            });
+            it('only completes names that fit the command', function () {
+                assert.deepEqual(game.getCompletions('take '), ['take Lamp', 'take Chest', 'take Hook', 'take Anvil']);
+                assert.deepEqual(game.getCompletions('drop '), ['drop Sandwich']);
+                assert.deepEqual(game.getCompletions('examine '), ['examine Sandwich', 'examine Lamp', 'examine Chest', 'examine Hook', 'examine Anvil', 'examine Bob', 'examine Ann']);
+            });
+            it('completes what follows a preposition', function () {
+                assert.deepEqual(game.getCompletions('give sandwich to '), ['give sandwich to Bob', 'give sandwich to Ann']);
+                assert.deepEqual(game.getCompletions('use sandwich on e'), ['use sandwich on East']);
+                assert.deepEqual(game.getCompletions('ask bob about '), []);
+            });
+        });
+
+        describe('linkEntity', function () {
+            it('marks up names that can be clicked', function () {
+                var link = game.linkEntity('item', 'lamp', 'Lamp');
+
+                assert.ok(link.indexOf('data-entity-type="item"') >= 0);
+                assert.ok(link.indexOf('data-entity-id="lamp"') >= 0);
+            });
+        });
+
+        describe('command panel', function () {
+            it('offers the commands and the names that fit their slots', function () {
+                var panel = new AdventureMachine.CommandPanel(game.console, game),
+                    names = panel.getCommands().map(function (command) {
+                        return command.getShortName();
+                    });
+
+                assert.ok(names.indexOf('take') >= 0);
+                assert.ok(names.indexOf('look') >= 0);
+                assert.deepEqual(game.getCompletionNames(['carried']), ['Sandwich']);
+                assert.deepEqual(game.getCompletionNames(['exits']), ['North', 'East', 'Up']);
+            });
+            it('offers only the NPCs who have just left to follow', function () {
+                assert.deepEqual(game.getCompletionNames(['departed']), []);
+                play(game, 'take lamp');
+                assert.deepEqual(game.getCompletionNames(['departed']), []);
+                play(game, 'drop lamp');
+                assert.deepEqual(game.getCompletionNames(['departed']), ['Guard']);
+                assert.deepEqual(game.getCompletions('follow '), ['follow Guard']);
+            });
+        });
+    });
+})();
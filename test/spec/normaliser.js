@@ -0,0 +1,70 @@
+/* global describe, it, beforeEach, assert, AdventureMachine */
+
+(function () {
+    'use strict';
+
+    var startGame = function (storyData) {
+        var console = new AdventureMachine.BaseConsole(),
+            game = new AdventureMachine.Game(console);
+
+        console.display = function () {};
+        game.newGame(new AdventureMachine.Story(storyData));
+
+        return game;
+    };
+
+    describe('InputNormaliser', function () {
+        var game,
+            normaliser;
+
+        beforeEach(function () {
+            game = startGame({
+                name: 'Normaliser',
+                locations: [{id: 'hall', title: 'Hall', description: 'A hall.', items: ['lamp'], npcs: ['bob']}],
+                items: [{id: 'lamp', title: 'Brass Lamp', description: 'A lamp.'}],
+                npcs: [{id: 'bob', title: 'Bob', description: 'A man.'}],
+                synonyms: {'fetch': 'take'}
+            });
+            normaliser = game.inputNormaliser;
+        });
+
+        describe('split', function () {
+            it('splits on punctuation and "then"', function () {
+                assert.deepEqual(normaliser.split('take lamp, look; inventory. go north then look'), ['take lamp', 'look', 'inventory', 'go north', 'look']);
+            });
+            it('only splits on "and" when a command follows it', function () {
+                assert.deepEqual(normaliser.split('take lamp and go north'), ['take lamp', 'go north']);
+                assert.deepEqual(normaliser.split('take salt and pepper'), ['take salt and pepper']);
+            });
+            it('keeps lists of exceptions together', function () {
+                assert.deepEqual(normaliser.split('take all except lamp, bob and key, then look'), ['take all except lamp, bob and key', 'look']);
+                assert.deepEqual(normaliser.split('drop all but lamp, look'), ['drop all but lamp', 'look']);
+            });
+        });
+
+        describe('normalise', function () {
+            it('replaces synonyms with the command they stand for', function () {
+                assert.equal(normaliser.normalise('pick up lamp'), 'take lamp');
+                assert.equal(normaliser.normalise('x lamp'), 'examine lamp');
+                assert.equal(normaliser.normalise('fetch lamp'), 'take lamp');
+            });
+            it('removes articles and extra spaces', function () {
+                assert.equal(normaliser.normalise('  take   the lamp '), 'take lamp');
+            });
+            it('replaces pronouns with the id of the last entity referred to', function () {
+                game.parseCommand('examine lamp');
+                game.parseCommand('examine bob');
+                assert.equal(normaliser.normalise('take it'), 'take #bob');
+                assert.equal(normaliser.normalise('talk to him'), 'talk to #bob');
+            });
+            it('leaves articles and pronouns in free text as typed', function () {
+                game.parseCommand('examine bob');
+                assert.equal(normaliser.normalise('ask him about the lamp'), 'ask #bob about the lamp');
+                assert.equal(normaliser.normalise('talk to the bob about it'), 'talk to bob about it');
+            });
+            it('rejects pronouns that refer to nothing', function () {
+                assert.strictEqual(normaliser.normalise('take it'), undefined);
+            });
+        });
+    });
+})();
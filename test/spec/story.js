@@ -0,0 +1,156 @@
+/* global describe, it, assert, AdventureMachine */
+
+(function () {
+    'use strict';
+
+    var Story = AdventureMachine.Story,
+        storyData = function () {
+            return {
+                name: 'Test Story',
+                startLocation: 'hall',
+                inventory: ['coin'],
+                locations: [
+                    {id: 'hall', title: 'Hall', description: 'A hall.', exits: [{name: 'North', destination: 'loft'}], items: ['lamp'], npcs: ['bob']},
+                    {id: 'loft', title: 'Loft', description: 'A loft.', exits: [{name: 'South', destination: 'hall'}], items: ['beam']}
+                ],
+                items: [
+                    {id: 'lamp', title: 'Lamp', description: 'A brass lamp.'},
+                    {id: 'coin', title: 'Coin', description: 'A gold coin.'}
+                ],
+                fixtures: [{id: 'beam', title: 'Beam', description: 'An oak beam.'}],
+                npcs: [{id: 'bob', title: 'Bob', description: 'A man.', talk: 'Hello.'}]
+            };
+        },
+        codes = function (problems) {
+            return problems.map(function (problem) {
+                return problem.code;
+            });
+        };
+
+    describe('Story', function () {
+        describe('constructor', function () {
+            it('accepts a JSON string', function () {
+                assert.equal(new Story(JSON.stringify(storyData())).name, 'Test Story');
+            });
+            it('rejects anything that is not an object', function () {
+                assert.throws(function () {
+                    return new Story('42');
+                });
+            });
+        });
+
+        describe('load', function () {
+            it('reports a story that cannot be loaded', function (done) {
+                Story.load('missing-story.json', function () {
+                    done('A missing story was loaded');
+                }, function (error) {
+                    assert.ok(String(error).indexOf('missing-story.json') >= 0);
+                    done();
+                });
+            });
+        });
+
+        describe('getGameData', function () {
+            it('creates the locations, items and NPCs', function () {
+                var gameData = new Story(storyData()).getGameData();
+
+                assert.equal(gameData.locations.length, 2);
+                assert.equal(gameData.items.length, 3);
+                assert.equal(gameData.npcs.length, 1);
+                assert.equal(gameData.startLocation, 'hall');
+                assert.deepEqual(gameData.inventory, ['coin']);
+            });
+            it('passes the game settings through', function () {
+                var data = storyData(),
+                    gameData;
+
+                data.undoLimit = 5;
+                data.wallClock = true;
+                gameData = new Story(data).getGameData();
+                assert.equal(gameData.undoLimit, 5);
+                assert.isTrue(gameData.wallClock);
+            });
+            it('creates new entities every time', function () {
+                var story = new Story(storyData());
+
+                assert.notEqual(story.getGameData().items[0], story.getGameData().items[0]);
+            });
+        });
+
+        describe('validate', function () {
+            it('passes a story without problems', function () {
+                var report = new Story(storyData()).validate();
+
+                assert.isTrue(report.valid);
+                assert.deepEqual(report.errors, []);
+                assert.deepEqual(report.warnings, []);
+            });
+            it('reports exits to unknown locations', function () {
+                var data = storyData(),
+                    report;
+
+                data.locations[0].exits.push({name: 'East', destination: 'garden'});
+                report = new Story(data).validate();
+                assert.isFalse(report.valid);
+                assert.deepEqual(codes(report.errors), ['dangling-exit']);
+                assert.equal(report.errors[0].id, 'hall');
+            });
+            it('reports duplicate ids', function () {
+                var data = storyData();
+
+                data.items.push({id: 'lamp', title: 'Another Lamp', description: '...'});
+                assert.deepEqual(codes(new Story(data).validate().errors), ['duplicate-id']);
+            });
+            it('reports unknown items and NPCs placed in locations', function () {
+                var data = storyData();
+
+                data.locations[1].items.push('ladder');
+                data.locations[1].npcs = ['alice'];
+                assert.deepEqual(codes(new Story(data).validate().errors), ['unknown-item', 'unknown-npc']);
+            });
+            it('reports an unknown start location', function () {
+                var data = storyData();
+
+                data.startLocation = 'cellar';
+                assert.deepEqual(codes(new Story(data).validate().errors), ['unknown-start-location']);
+            });
+            it('reports invalid conditions', function () {
+                var data = storyData();
+
+                data.locations[0].exits[0].condition = 'flag:ladder &&';
+                assert.deepEqual(codes(new Story(data).validate().errors), ['invalid-condition']);
+            });
+            it('warns about unreachable locations and unplaced items', function () {
+                var data = storyData(),
+                    report;
+
+                data.locations[1].exits = [];
+                data.locations[0].exits = [];
+                data.items.push({id: 'ladder', title: 'Ladder', description: '...'});
+                report = new Story(data).validate();
+                assert.isTrue(report.valid);
+                assert.deepEqual(codes(report.warnings), ['unreachable-location', 'unplaced-item']);
+            });
+            it('reports recipes that use or make unknown items', function () {
+                var data = storyData();
+
+                data.recipes = [{items: ['lamp', 'oil'], result: 'lit-lamp'}];
+                assert.deepEqual(codes(new Story(data).validate().errors), ['unknown-item', 'unknown-item']);
+            });
+            it('reports a wall clock setting that is not true or false', function () {
+                var data = storyData();
+
+                data.wallClock = 'yes';
+                assert.deepEqual(codes(new Story(data).validate().errors), ['invalid-wall-clock']);
+            });
+            it('reports sales without a currency', function () {
+                var data = storyData();
+
+                data.npcs[0].inventory = ['lamp'];
+                data.locations[0].items = [];
+                data.npcs[0].sells = [{item: 'lamp', price: 2}];
+                assert.deepEqual(codes(new Story(data).validate().errors), ['missing-currency']);
+            });
+        });
+    });
+})();